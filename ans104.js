@@ -0,0 +1,112 @@
+// ANS-104 data item decoding for server.js, which reads bundles straight from their
+// binary data when a gateway has not indexed the items. These only look at buffers, so
+// they can be checked against fixtures without a gateway.
+// See https://github.com/ArweaveTeam/arweave-standards/blob/master/ans/ANS-104.md
+const crypto = require('crypto');
+
+// Signature and owner lengths per ANS-104 signature type
+const DATA_ITEM_SIGNATURES = {
+    1: { name: 'arweave', signature: 512, owner: 512 },
+    2: { name: 'ed25519', signature: 64, owner: 32 },
+    3: { name: 'ethereum', signature: 65, owner: 65 },
+    4: { name: 'solana', signature: 64, owner: 32 },
+    5: { name: 'injectedAptos', signature: 64, owner: 32 },
+    6: { name: 'multiAptos', signature: 64 * 32 + 4, owner: 32 * 32 + 1 },
+    7: { name: 'typedEthereum', signature: 65, owner: 42 }
+};
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Little-endian unsigned integer of any width (ANS-104 uses 32-byte and 8-byte fields)
+function readLittleEndian(buffer, offset, length) {
+    let value = 0;
+    for (let i = length - 1; i >= 0; i--) value = value * 256 + buffer[offset + i];
+    return value;
+}
+
+// Avro-encoded tag array: zig-zag varint block counts, each tag a pair of length-prefixed byte strings
+function decodeAvroTags(buffer) {
+    let pos = 0;
+    const readLong = () => {
+        let result = 0, shift = 0, byte;
+        do {
+            byte = buffer[pos++];
+            result += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result % 2 === 0 ? result / 2 : -(result + 1) / 2;
+    };
+    const readString = () => {
+        const length = readLong();
+        const value = buffer.toString('utf8', pos, pos + length);
+        pos += length;
+        return value;
+    };
+    const tags = [];
+    while (pos < buffer.length) {
+        let count = readLong();
+        if (count === 0) break;
+        if (count < 0) {
+            count = -count;
+            readLong(); // block size in bytes, not needed
+        }
+        for (let i = 0; i < count; i++) tags.push({ name: readString(), value: readString() });
+    }
+    return tags;
+}
+
+// Parse a data item header. Returns null if `buffer` is too short, with the number of
+// bytes required in `needed` so the caller can fetch more.
+function parseDataItemHeader(buffer) {
+    const result = { needed: 0, item: null };
+    if (buffer.length < 2) return { ...result, needed: 2 };
+    const signatureType = buffer.readUInt16LE(0);
+    const config = DATA_ITEM_SIGNATURES[signatureType];
+    if (!config) throw new Error(`Unknown data item signature type ${signatureType}`);
+
+    let pos = 2;
+    pos += config.signature; // the item id is the hash of this, but the bundle index already lists ids
+    const owner = buffer.subarray(pos, pos + config.owner);
+    pos += config.owner;
+    if (buffer.length < pos + 1) return { ...result, needed: pos + 66 + 16 };
+    let target = null;
+    if (buffer[pos++] === 1) {
+        target = toBase64Url(buffer.subarray(pos, pos + 32));
+        pos += 32;
+    }
+    if (buffer.length < pos + 1) return { ...result, needed: pos + 33 + 16 };
+    let anchor = null;
+    if (buffer[pos++] === 1) {
+        anchor = toBase64Url(buffer.subarray(pos, pos + 32));
+        pos += 32;
+    }
+    if (buffer.length < pos + 16) return { ...result, needed: pos + 16 };
+    const tagCount = readLittleEndian(buffer, pos, 8);
+    const tagBytes = readLittleEndian(buffer, pos + 8, 8);
+    pos += 16;
+    if (buffer.length < pos + tagBytes) return { ...result, needed: pos + tagBytes };
+    const tags = tagCount > 0 ? decodeAvroTags(buffer.subarray(pos, pos + tagBytes)) : [];
+    pos += tagBytes;
+
+    return {
+        needed: 0,
+        item: {
+            signatureType: config.name,
+            owner: signatureType === 1 ? toBase64Url(crypto.createHash('sha256').update(owner).digest()) : null,
+            target,
+            anchor,
+            tags,
+            headerSize: pos
+        }
+    };
+}
+
+module.exports = {
+    DATA_ITEM_SIGNATURES,
+    toBase64Url,
+    readLittleEndian,
+    decodeAvroTags,
+    parseDataItemHeader
+};
@@ -0,0 +1,131 @@
+// Content categories, shared by server.js (require) and the browser
+// (window.ArweaveCategories). Every transaction falls into exactly one category, decided
+// by the first matching rule in registration order, so specific rules (App-Name, exact
+// MIME types) are registered before broad ones (text/*, application/*). Media types come
+// before App-Name rules: an atomic asset is an image (or video, audio) first and a
+// contract second.
+//
+// A category: { id, name, cubeColor, outlineColor, symbol, preview, rules }
+//   symbol   glyph drawn on homogenous blocks of this category (optional)
+//   preview  how the preview panel shows it: 'image', 'video', 'audio', 'text', 'json',
+//            'html', 'pdf', 'manifest' or null, or a function (mime) => one of those for
+//            categories matched by tags, whose data can be anything
+//   rules    list of { mime } (exact, or a 'type/*' prefix) and { tag, values } matches
+// registerCategory() adds (or replaces) a category; `before` inserts it ahead of another.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ArweaveCategories = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const FALLBACK_ID = 'other';
+    const registry = [];
+
+    function registerCategory(category, { before } = {}) {
+        const existing = registry.findIndex(c => c.id === category.id);
+        if (existing !== -1) registry.splice(existing, 1);
+        const entry = { symbol: null, preview: null, rules: [], ...category };
+        const index = before ? registry.findIndex(c => c.id === before) : -1;
+        if (index === -1) {
+            registry.push(entry);
+        } else {
+            registry.splice(index, 0, entry);
+        }
+        return entry;
+    }
+
+    function getTag(tags, name) {
+        if (!tags) return undefined;
+        const wanted = name.toLowerCase();
+        if (Array.isArray(tags)) {
+            const tag = tags.find(t => t.name.toLowerCase() === wanted);
+            return tag ? tag.value : undefined;
+        }
+        const key = Object.keys(tags).find(k => k.toLowerCase() === wanted);
+        return key === undefined ? undefined : tags[key];
+    }
+
+    function matchesRule(rule, mime, tags) {
+        if (rule.mime) {
+            if (!mime) return false;
+            return rule.mime.endsWith('/*') ? mime.startsWith(rule.mime.slice(0, -1)) : mime === rule.mime;
+        }
+        if (rule.tag) {
+            const value = getTag(tags, rule.tag);
+            return value !== undefined && (!rule.values || rule.values.includes(value));
+        }
+        return false;
+    }
+
+    function getMime(tags) {
+        const contentType = getTag(tags, 'Content-Type');
+        return typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+    }
+
+    // Preview kind of the first category whose MIME rules take this type
+    function previewForMime(mime) {
+        const category = registry.find(c => typeof c.preview === 'string' && c.rules.some(rule => rule.mime && matchesRule(rule, mime)));
+        return category ? category.preview : null;
+    }
+
+    // tags: { name: value } or [{ name, value }]; returns a category id
+    function categorize(tags) {
+        const mime = getMime(tags);
+        const category = registry.find(c => c.id !== FALLBACK_ID && c.rules.some(rule => matchesRule(rule, mime, tags)));
+        return category ? category.id : FALLBACK_ID;
+    }
+
+    function getCategory(id) {
+        return registry.find(c => c.id === id) || registry.find(c => c.id === FALLBACK_ID);
+    }
+
+    function listCategories() {
+        return registry.slice();
+    }
+
+    // How the preview panel shows a transaction with these tags, or null
+    function getPreview(tags) {
+        const preview = getCategory(categorize(tags)).preview;
+        return typeof preview === 'function' ? preview(getMime(tags)) : preview;
+    }
+
+    // ---- Built-in categories ----
+    registerCategory({
+        id: 'manifest', name: 'Manifest', cubeColor: 0x1C2A1C, outlineColor: 0x81C784, symbol: '⌂', preview: 'manifest',
+        rules: [{ mime: 'application/x.arweave-manifest+json' }]
+    });
+    registerCategory({ id: 'image', name: 'Image', cubeColor: 0xCCCCCC, outlineColor: 0xFFFFFF, preview: 'image', rules: [{ mime: 'image/*' }] });
+    registerCategory({ id: 'video', name: 'Video', cubeColor: 0xCCCCCC, outlineColor: 0xFFFFFF, symbol: '▶', preview: 'video', rules: [{ mime: 'video/*' }] });
+    registerCategory({ id: 'audio', name: 'Audio', cubeColor: 0xCCCCCC, outlineColor: 0xFFFFFF, symbol: '𝄞', preview: 'audio', rules: [{ mime: 'audio/*' }] });
+    registerCategory({
+        id: 'contract', name: 'Contract', cubeColor: 0x2A1C2A, outlineColor: 0xBA68C8, symbol: '§',
+        // Contract sources are JavaScript and interactions rarely carry data; anything
+        // else previews as its Content-Type says
+        preview: mime => previewForMime(mime) || (!mime || mime.includes('javascript') ? 'text' : null),
+        rules: [
+            { tag: 'App-Name', values: ['SmartWeaveContract', 'SmartWeaveContractSource', 'SmartWeaveAction'] },
+            { tag: 'Contract-Src' }
+        ]
+    });
+    registerCategory({
+        id: 'json', name: 'JSON', cubeColor: 0x1C2430, outlineColor: 0x4FC3F7, symbol: '{}', preview: 'json',
+        rules: [{ mime: 'application/json' }, { mime: 'text/json' }]
+    });
+    registerCategory({
+        id: 'html', name: 'HTML', cubeColor: 0x30241C, outlineColor: 0xFFB74D, symbol: '</>', preview: 'html',
+        rules: [{ mime: 'text/html' }, { mime: 'application/xhtml+xml' }]
+    });
+    registerCategory({ id: 'pdf', name: 'PDF', cubeColor: 0x301C1C, outlineColor: 0xE57373, symbol: 'PDF', preview: 'pdf', rules: [{ mime: 'application/pdf' }] });
+    registerCategory({ id: 'text', name: 'Text', cubeColor: 0x2A2A2A, outlineColor: 0xE0E0E0, symbol: 'Aa', preview: 'text', rules: [{ mime: 'text/*' }] });
+    registerCategory({ id: 'app', name: 'App Data', cubeColor: 0x1C1C24, outlineColor: 0x9FA8DA, rules: [{ mime: 'application/*' }] });
+    registerCategory({ id: FALLBACK_ID, name: 'Other', cubeColor: 0x1C1C1C, outlineColor: 0x808080 });
+
+    return {
+        registerCategory,
+        categorize,
+        getCategory,
+        listCategories,
+        getPreview
+    };
+}));
@@ -0,0 +1,189 @@
+// Arweave Block Explorer WebSocket protocol, shared by server.js (require) and the
+// browser (window.ArweaveProtocol, loaded before sketch.js).
+//
+// Every message is a JSON object with a `type`. Clients may put an `id` (string or
+// number) on any request; the server echoes it as `requestId` on every message it sends
+// in response, including errors. Clients should open with `hello` to agree on a version.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ArweaveProtocol = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const PROTOCOL_VERSION = 1;
+    const SUPPORTED_VERSIONS = [1];
+
+    // Largest ranges a single get_day or get_heights may span, enforced by the server and
+    // checked by the client before it asks.
+    const MAX_DAY_RANGE = 28; // about MAX_HEIGHT_RANGE blocks
+    const MAX_HEIGHT_RANGE = 20000; // roughly four weeks of blocks
+
+    const TX_ID_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+    const requestId = { type: ['string', 'number'] };
+
+    // Field specs: type (or list of types), required, pattern, min/max for numbers,
+    // date for strings that must parse as a date. `oneOf` lists fields of which at
+    // least one must be present.
+    const clientMessages = {
+        hello: {
+            fields: { id: requestId, version: { type: 'integer', required: true, min: 1 } }
+        },
+        get_day: {
+            fields: {
+                id: requestId,
+                date: { type: 'string', date: true },
+                start: { type: 'string', date: true },
+                end: { type: 'string', date: true },
+                live: { type: 'boolean' }
+            },
+            oneOf: ['date', 'start']
+        },
+        get_heights: {
+            fields: {
+                id: requestId,
+                fromHeight: { type: 'integer', required: true, min: 0 },
+                toHeight: { type: 'integer', required: true, min: 0 }
+            }
+        },
+        get_day_visual: {
+            fields: { id: requestId, date: { type: 'string', required: true, date: true } }
+        },
+        get_towers_quick: {
+            fields: {
+                id: requestId,
+                perTypeLimit: { type: ['integer', 'string'] },
+                blockScanLimit: { type: ['integer', 'string'] }
+            }
+        },
+        get_towers_recent_30d: {
+            fields: {
+                id: requestId,
+                perTypeLimit: { type: ['integer', 'string'] },
+                days: { type: ['integer', 'string'] }
+            }
+        },
+        get_bundle: {
+            fields: {
+                id: requestId,
+                bundleId: { type: 'string', required: true, pattern: TX_ID_PATTERN },
+                offset: { type: 'integer', min: 0 }
+            }
+        },
+        get_wallet: {
+            fields: {
+                id: requestId,
+                address: { type: 'string', required: true, pattern: TX_ID_PATTERN },
+                limit: { type: 'integer', min: 1 }
+            }
+        },
+        tag_search: {
+            fields: {
+                id: requestId,
+                query: { type: 'string', required: true, pattern: /\S/ },
+                start: { type: 'string', date: true },
+                end: { type: 'string', date: true },
+                fromHeight: { type: 'integer', min: 0 },
+                toHeight: { type: 'integer', min: 0 }
+            }
+        },
+        search: {
+            fields: { id: requestId, query: { type: 'string', required: true, pattern: /\S/ } }
+        },
+        get_tx: {
+            fields: { id: requestId, txId: { type: 'string', required: true, pattern: TX_ID_PATTERN } }
+        },
+        retry_block: {
+            fields: { id: requestId, height: { type: 'integer', required: true, min: 0 } }
+        }
+    };
+
+    // What the server sends. Validated loosely by the client to catch drift early.
+    const serverMessages = {
+        welcome: { fields: { version: { type: 'integer', required: true }, supportedVersions: { type: 'array', required: true } } },
+        gateway: { fields: { url: { type: 'string', required: true } } },
+        loadingStatus: { fields: { message: { type: 'string', required: true } } },
+        newBlock: { fields: { data: { type: 'object', required: true } } },
+        blockFailed: { fields: { data: { type: 'object', required: true } } },
+        dayStreamComplete: { fields: {} },
+        liveStatus: {
+            fields: {
+                headHeight: { type: 'integer', required: true },
+                latestHeight: { type: 'integer', required: true },
+                behind: { type: 'integer', required: true }
+            }
+        },
+        towers_partial: { fields: { data: { type: 'object', required: true } } },
+        towers: { fields: { data: { type: 'object', required: true } } },
+        bundleItems: { fields: { data: { type: 'object', required: true } } },
+        searchResult: { fields: { data: { type: 'object', required: true } } },
+        txDetails: { fields: { data: { type: 'object', required: true } } },
+        walletComplete: { fields: { data: { type: 'object', required: true } } },
+        tagSearchComplete: { fields: { data: { type: 'object', required: true } } },
+        error: { fields: { message: { type: 'string', required: true }, code: { type: 'string' }, details: { type: 'array' } } }
+    };
+
+    // Codes carried by structured `error` replies
+    const ERROR_CODES = {
+        INVALID_JSON: 'invalid_json',
+        INVALID_MESSAGE: 'invalid_message',
+        UNKNOWN_TYPE: 'unknown_type',
+        UNSUPPORTED_VERSION: 'unsupported_version',
+        NOT_FOUND: 'not_found'
+    };
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    function matchesType(value, expected) {
+        const actual = typeOf(value);
+        return [].concat(expected).some(t => t === actual || (t === 'number' && actual === 'integer'));
+    }
+
+    // Returns a list of problems; an empty list means the message is valid
+    function validateMessage(direction, message) {
+        const schemas = direction === 'server' ? serverMessages : clientMessages;
+        if (typeOf(message) !== 'object') return ['message must be a JSON object'];
+        if (typeof message.type !== 'string') return ['type must be a string'];
+        const schema = schemas[message.type];
+        if (!schema) return [`unknown message type '${message.type}'`];
+
+        const problems = [];
+        for (const [name, spec] of Object.entries(schema.fields)) {
+            const value = message[name];
+            if (value === undefined || value === null) {
+                if (spec.required) problems.push(`${name} is required`);
+                continue;
+            }
+            if (!matchesType(value, spec.type)) {
+                problems.push(`${name} must be ${[].concat(spec.type).join(' or ')}`);
+                continue;
+            }
+            if (spec.pattern && !spec.pattern.test(value)) problems.push(`${name} has an invalid format`);
+            if (spec.date && isNaN(new Date(value).getTime())) problems.push(`${name} must be a date`);
+            if (typeof value === 'number') {
+                if (spec.min !== undefined && value < spec.min) problems.push(`${name} must be >= ${spec.min}`);
+                if (spec.max !== undefined && value > spec.max) problems.push(`${name} must be <= ${spec.max}`);
+            }
+        }
+        if (schema.oneOf && !schema.oneOf.some(name => message[name] !== undefined && message[name] !== null)) {
+            problems.push(`one of ${schema.oneOf.join(', ')} is required`);
+        }
+        return problems;
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        SUPPORTED_VERSIONS,
+        MAX_DAY_RANGE,
+        MAX_HEIGHT_RANGE,
+        ERROR_CODES,
+        clientMessages,
+        serverMessages,
+        validateMessage
+    };
+}));
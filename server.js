@@ -3,6 +3,12 @@ const http = require('http');
 const WebSocket = require('ws');
 const axios = require('axios');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { DATA_ITEM_SIGNATURES, toBase64Url, readLittleEndian, parseDataItemHeader } = require('./ans104');
+const protocol = require('./protocol');
+const tagQuery = require('./tag-query');
+const categories = require('./categories');
 const app = express();
 const port = parseInt(process.env.PORT || '3002', 10);
 const server = http.createServer(app);
@@ -12,14 +18,387 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.get('/health', (_req, res) => res.status(200).send('ok'));
 app.get('/', (_req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 const wss = new WebSocket.Server({ noServer: true });
+
+// ---- Gateway Configuration ----
+// GATEWAYS is either a comma-separated list of base URLs (tried in order) or a JSON
+// array of { url, concurrency, rate } objects, where concurrency bounds parallel block
+// fetches and rate is requests per second. MEDIA_GATEWAY optionally overrides the URL
+// handed to browsers, for setups where the server reaches the gateway on an internal address.
+const GATEWAY_TIMEOUT_MS = parseInt(process.env.GATEWAY_TIMEOUT_MS || '15000', 10);
+const GATEWAY_HEALTH_INTERVAL_MS = parseInt(process.env.GATEWAY_HEALTH_INTERVAL_MS || '30000', 10);
+const GATEWAY_MAX_FAILURES = 2; // consecutive failures before a gateway is taken out of rotation
+const DEFAULT_GATEWAY_CONCURRENCY = parseInt(process.env.GATEWAY_CONCURRENCY || '4', 10);
+const DEFAULT_GATEWAY_RATE = parseFloat(process.env.GATEWAY_RATE || '10');
+
+function parseGatewayConfig(raw) {
+    const value = (raw || '').trim();
+    let entries = [];
+    if (value.startsWith('[')) {
+        try {
+            entries = JSON.parse(value).map(entry => (typeof entry === 'string' ? { url: entry } : entry));
+        } catch (err) {
+            console.error('Invalid GATEWAYS JSON, falling back to defaults:', err.message);
+        }
+    } else if (value) {
+        entries = value.split(',').map(url => ({ url }));
+    }
+    entries = entries.filter(entry => entry && typeof entry.url === 'string' && entry.url.trim());
+    if (entries.length === 0) entries = [{ url: 'https://arweave.net' }];
+    return entries.map(entry => {
+        const concurrency = parseInt(entry.concurrency, 10);
+        const rate = parseFloat(entry.rate);
+        const gateway = {
+            ...entry,
+            url: entry.url.trim().replace(/\/+$/, ''),
+            concurrency: concurrency > 0 ? concurrency : DEFAULT_GATEWAY_CONCURRENCY,
+            rate: rate > 0 ? rate : DEFAULT_GATEWAY_RATE,
+            healthy: true,
+            failures: 0,
+            latency: null,
+            lastChecked: 0
+        };
+        gateway.bucket = { tokens: Math.max(1, gateway.rate), updatedAt: Date.now() };
+        return gateway;
+    });
+}
+
+const gateways = parseGatewayConfig(process.env.GATEWAYS);
+let announcedMediaGateway = null;
+
+function getActiveGateway() {
+    return gateways.find(g => g.healthy) || gateways[0];
+}
+
+function getMediaGatewayUrl() {
+    return (process.env.MEDIA_GATEWAY || getActiveGateway().url).replace(/\/+$/, '');
+}
+
+function markGatewaySuccess(gateway) {
+    gateway.failures = 0;
+    if (!gateway.healthy) {
+        gateway.healthy = true;
+        console.log(`Gateway ${gateway.url} is back in rotation.`);
+        announceMediaGateway();
+    }
+}
+
+function markGatewayFailure(gateway, reason) {
+    gateway.failures++;
+    if (gateway.healthy && gateway.failures >= GATEWAY_MAX_FAILURES) {
+        gateway.healthy = false;
+        console.warn(`Gateway ${gateway.url} marked unhealthy: ${reason}`);
+        announceMediaGateway();
+    }
+}
+
+async function checkGatewayHealth(gateway) {
+    const start = Date.now();
+    try {
+        const res = await axios.get(`${gateway.url}/info`, { timeout: GATEWAY_TIMEOUT_MS });
+        if (!res.data || typeof res.data.height !== 'number') throw new Error('unexpected /info response');
+        lastKnownHeight = Math.max(lastKnownHeight, res.data.height);
+        gateway.latency = Date.now() - start;
+        markGatewaySuccess(gateway);
+    } catch (err) {
+        gateway.latency = null;
+        // A failed probe takes the gateway out straight away; live requests need repeated failures
+        gateway.failures = Math.max(gateway.failures, GATEWAY_MAX_FAILURES - 1);
+        markGatewayFailure(gateway, err.message);
+    }
+    gateway.lastChecked = Date.now();
+}
+
+async function checkAllGateways() {
+    await Promise.all(gateways.map(checkGatewayHealth));
+}
+
+// Tell connected browsers where to load transaction data from whenever it changes
+function announceMediaGateway() {
+    const url = getMediaGatewayUrl();
+    if (url === announcedMediaGateway) return;
+    announcedMediaGateway = url;
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify({ type: 'gateway', url }));
+        }
+    });
+}
+
+// Token bucket per gateway: refills at `rate` tokens per second up to a one-second burst.
+// Callers reserve a token up front, so concurrent callers queue up behind each other.
+function takeGatewayToken(gateway) {
+    const bucket = gateway.bucket;
+    const now = Date.now();
+    const capacity = Math.max(1, gateway.rate);
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * gateway.rate);
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+    if (bucket.tokens >= 0) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, (-bucket.tokens / gateway.rate) * 1000));
+}
+
+// Perform a request against the configured gateways, failing over in order. Healthy
+// gateways are tried first; 4xx answers (other than 429) are authoritative and are
+// not retried elsewhere, e.g. a 404 for a height that has not been mined yet.
+async function gatewayRequest(method, urlPath, data, options = {}) {
+    const ordered = [...gateways.filter(g => g.healthy), ...gateways.filter(g => !g.healthy)];
+    let lastError;
+    for (const gateway of ordered) {
+        await takeGatewayToken(gateway);
+        try {
+            const res = await axios({
+                method,
+                url: `${gateway.url}${urlPath}`,
+                data,
+                timeout: GATEWAY_TIMEOUT_MS,
+                ...options,
+                headers: { ...(data ? { 'Content-Type': 'application/json' } : {}), ...options.headers }
+            });
+            markGatewaySuccess(gateway);
+            return res;
+        } catch (err) {
+            lastError = err;
+            const status = err.response && err.response.status;
+            if (status && status < 500 && status !== 429) throw err;
+            markGatewayFailure(gateway, status ? `HTTP ${status}` : err.message);
+        }
+    }
+    throw lastError;
+}
+
+const gatewayGet = (urlPath) => gatewayRequest('get', urlPath);
+const gatewayPost = (urlPath, body) => gatewayRequest('post', urlPath, body);
+
+// Read bytes [start, end] (inclusive) of a transaction's data as a Buffer
+const MAX_RANGE_BYTES = 16 * 1024 * 1024;
+async function gatewayGetRange(urlPath, start, end) {
+    const res = await gatewayRequest('get', urlPath, undefined, {
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_RANGE_BYTES,
+        headers: { Range: `bytes=${start}-${end}` }
+    });
+    const buffer = Buffer.from(res.data);
+    // A gateway that ignores Range answers 200 with the whole body
+    return res.status === 206 ? buffer : buffer.subarray(start, end + 1);
+}
+
+// ---- Retry Policy ----
+// Shared by every gateway call that can be retried. Network errors, timeouts, 429 and
+// 5xx are transient; other 4xx answers are final. Delays grow exponentially with
+// jitter, and a Retry-After header from the gateway takes precedence.
+const RETRY_POLICY = {
+    attempts: parseInt(process.env.RETRY_ATTEMPTS || '4', 10),
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '15000', 10)
+};
+
+function isRetryableError(err) {
+    const status = err && err.response && err.response.status;
+    if (!status) return true; // network error or timeout
+    return status === 429 || status >= 500;
+}
+
+function getRetryDelay(err, attempt, policy) {
+    const retryAfter = err && err.response && err.response.headers && err.response.headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        if (ms > 0) return Math.min(policy.maxDelayMs, ms);
+    }
+    // Equal jitter: half the exponential delay plus a random share of the other half
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+async function withRetry(operation, policy = RETRY_POLICY, label = 'request') {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (err) {
+            if (attempt >= policy.attempts || !isRetryableError(err)) throw err;
+            const delay = getRetryDelay(err, attempt, policy);
+            console.warn(`${label} failed (attempt ${attempt}/${policy.attempts}): ${err.message}. Retrying in ${Math.round(delay)}ms.`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// ---- Block Fetch Pipeline ----
+// Fetches consecutive heights with at most `concurrency` requests in flight and up to
+// `lookahead` heights prefetched, while take() hands results back in height order.
+// Fetches still queued when isCancelled() turns true are dropped instead of started, so a
+// stopped or replaced stream does not keep spending the gateway's rate limit.
+function createBlockPipeline(fetchHeight, { concurrency, lookahead = concurrency * 2, isCancelled = () => false }) {
+    const pending = new Map(); // height -> Promise<{ value } | { error }>
+    const waiting = [];
+    let active = 0;
+
+    const acquire = () => {
+        if (active < concurrency) {
+            active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    };
+    const release = () => {
+        const next = waiting.shift();
+        if (next) next(); else active--;
+    };
+    const schedule = (height) => {
+        if (pending.has(height)) return;
+        pending.set(height, acquire()
+            .then(() => {
+                if (isCancelled()) throw new Error('Stream stopped');
+                return fetchHeight(height);
+            })
+            .then(value => ({ value }), error => ({ error }))
+            .finally(release));
+    };
+
+    return {
+        // Resolve `height`, prefetching the heights after it up to maxHeight
+        async take(height, maxHeight) {
+            for (let h = height; h <= Math.min(maxHeight, height + lookahead - 1); h++) schedule(h);
+            schedule(height);
+            const result = await pending.get(height);
+            pending.delete(height);
+            if (result.error) throw result.error;
+            return result.value;
+        }
+    };
+}
+
+// ---- Block Cache ----
+// Blocks are immutable once they are buried deep enough, so block headers and their
+// transaction lists are kept on disk as JSON, sharded by thousands of heights
+// (cache/blocks/1712/1712345.json). Blocks close to the head are never cached in case
+// of a fork.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+const CACHE_MIN_CONFIRMATIONS = parseInt(process.env.CACHE_MIN_CONFIRMATIONS || '50', 10);
+let lastKnownHeight = 0;
+
+function cachePath(kind, height) {
+    return path.join(CACHE_DIR, kind, String(Math.floor(height / 1000)), `${height}.json`);
+}
+
+function isCacheable(height) {
+    return lastKnownHeight > 0 && height <= lastKnownHeight - CACHE_MIN_CONFIRMATIONS;
+}
+
+async function readCache(kind, height) {
+    try {
+        return JSON.parse(await fs.promises.readFile(cachePath(kind, height), 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.warn(`Ignoring unreadable ${kind} cache entry for ${height}:`, err.message);
+        return null;
+    }
+}
+
+async function writeCache(kind, height, value) {
+    if (!isCacheable(height)) return;
+    const file = cachePath(kind, height);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(value));
+        await fs.promises.rename(tmp, file); // atomic, so readers never see half a file
+    } catch (err) {
+        console.warn(`Failed to cache ${kind} for ${height}:`, err.message);
+    }
+}
+
+async function fetchNetworkInfo() {
+    const info = (await gatewayGet('/info')).data;
+    if (typeof info.height === 'number') lastKnownHeight = Math.max(lastKnownHeight, info.height);
+    return info;
+}
+
+// Read-through fetch of a block header. Returns { data, cached } so callers can skip
+// their politeness delays when nothing went over the network.
+async function fetchBlock(height) {
+    const cached = await readCache('blocks', height);
+    if (cached) {
+        recordBlockTimestamp(height, cached.timestamp);
+        return { data: cached, cached: true };
+    }
+    const res = await gatewayGet(`/block/height/${height}`);
+    recordBlockTimestamp(height, res.data && res.data.timestamp);
+    await writeCache('blocks', height, res.data);
+    return { data: res.data, cached: false };
+}
+
+// ---- Height/Timestamp Index ----
+// Sparse height -> timestamp map, filled in as blocks pass through fetchBlock and saved
+// next to the block cache. Day lookups bracket the target time between the nearest
+// indexed heights and only probe the gateway inside that bracket.
+const HEIGHT_INDEX_FILE = path.join(CACHE_DIR, 'height-index.json');
+const HEIGHT_INDEX_SAVE_INTERVAL_MS = 10000;
+const heightIndex = new Map();
+let indexedHeights = []; // sorted ascending, mirrors heightIndex keys
+let heightIndexDirty = false;
+
+// First position in a sorted array whose key is >= value
+function lowerBound(arr, value, key = v => v) {
+    let lo = 0, hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (key(arr[mid]) < value) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
+
+function recordBlockTimestamp(height, timestamp) {
+    if (typeof timestamp !== 'number' || heightIndex.get(height) === timestamp) return;
+    if (!heightIndex.has(height)) indexedHeights.splice(lowerBound(indexedHeights, height), 0, height);
+    heightIndex.set(height, timestamp);
+    heightIndexDirty = true;
+}
+
+function loadHeightIndex() {
+    try {
+        const raw = JSON.parse(fs.readFileSync(HEIGHT_INDEX_FILE, 'utf8'));
+        for (const [height, timestamp] of Object.entries(raw)) heightIndex.set(Number(height), timestamp);
+        indexedHeights = [...heightIndex.keys()].sort((a, b) => a - b);
+        console.log(`Loaded height index with ${indexedHeights.length} entries.`);
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('Ignoring unreadable height index:', err.message);
+    }
+}
+
+async function saveHeightIndex() {
+    if (!heightIndexDirty) return;
+    heightIndexDirty = false;
+    const tmp = `${HEIGHT_INDEX_FILE}.${process.pid}.tmp`;
+    try {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(heightIndex)));
+        await fs.promises.rename(tmp, HEIGHT_INDEX_FILE);
+    } catch (err) {
+        heightIndexDirty = true;
+        console.warn('Failed to save height index:', err.message);
+    }
+}
+
+// Nearest indexed heights around a timestamp, limited to heights up to maxHeight:
+// low is the last height before targetTimestamp (-1 if none), high the first at or after it.
+function bracketTimestamp(targetTimestamp, maxHeight) {
+    const candidates = indexedHeights.slice(0, lowerBound(indexedHeights, maxHeight + 1));
+    const i = lowerBound(candidates, targetTimestamp, h => heightIndex.get(h));
+    return {
+        low: i > 0 ? candidates[i - 1] : -1,
+        high: i < candidates.length ? candidates[i] : maxHeight + 1
+    };
+}
+
 // Scan from current head backward for a fixed number of blocks, collecting recent media
 async function streamRecentTransactionsQuick(ws, blockScanLimit = 750, perTypeLimit = 250) {
     try {
-        const info = await axios.get('https://arweave.net/info');
-        let currentHeight = info.data.height;
+        const info = await fetchNetworkInfo();
+        let currentHeight = info.height;
         let scanned = 0;
+        let skipped = 0;
         const maxScans = Math.max(10, Math.min(20000, blockScanLimit));
-        const buckets = { image: [], video: [], audio: [], application: [], other: [] };
+        const buckets = Object.fromEntries(categories.listCategories().map(category => [category.id, []]));
         let additionsSinceLastSend = 0;
 
         const wantMore = () => (
@@ -35,9 +414,10 @@ async function streamRecentTransactionsQuick(ws, blockScanLimit = 750, perTypeLi
             // Fetch block metadata (for timestamp)
             let blockRes;
             try {
-                blockRes = await axios.get(`https://arweave.net/block/height/${currentHeight}`);
+                blockRes = await withRetry(() => fetchBlock(currentHeight), RETRY_POLICY, `Block ${currentHeight}`);
             } catch (e) {
-                currentHeight--; scanned++; continue;
+                console.warn(`Quick scan giving up on block ${currentHeight}:`, e.message);
+                skipped++; currentHeight--; scanned++; continue;
             }
             const block = blockRes.data;
             if (!block) { currentHeight--; scanned++; continue; }
@@ -45,7 +425,7 @@ async function streamRecentTransactionsQuick(ws, blockScanLimit = 750, perTypeLi
             console.log('Processing height', currentHeight, 'scanned', scanned);
             // Fetch txs for this height and bucket by content-type
             try {
-                const edges = await fetchAllBlockTransactions(currentHeight);
+                const { edges } = await fetchAllBlockTransactions(currentHeight);
                 console.log('Fetched', edges.length, 'transactions for height', currentHeight);
                 for (const edge of edges) {
                     if (!wantMore()) break;
@@ -53,8 +433,7 @@ async function streamRecentTransactionsQuick(ws, blockScanLimit = 750, perTypeLi
                     const tagsObj = (node.tags || []).reduce((acc, t) => { acc[t.name] = t.value; return acc; }, {});
                     const ct = (tagsObj['Content-Type'] || tagsObj['content-type'] || 'other');
                     console.log('Transaction ID:', node.id, 'Content-Type:', ct);
-                    const main = (typeof ct === 'string' && ct.includes('/')) ? ct.split('/')[0] : (ct || 'other');
-                    const key = ['image','video','audio','application'].includes(main) ? main : 'other';
+                    const key = categories.categorize(tagsObj);
                     if (buckets[key] && buckets[key].length < perTypeLimit) {
                         buckets[key].push({
                             id: node.id,
@@ -75,7 +454,7 @@ async function streamRecentTransactionsQuick(ws, blockScanLimit = 750, perTypeLi
 
             if (scanned === 1 || scanned % 25 === 0 || additionsSinceLastSend >= 20) {
                 console.log(`Scanned ${scanned}/${maxScans} blocks, current buckets: ${JSON.stringify(Object.keys(buckets).map(k => ({[k]: buckets[k].length})))}`);
-                ws.send(JSON.stringify({ type: 'loadingStatus', message: `Quick scanned ${scanned}/${maxScans}… (h~${currentHeight})` }));
+                ws.send(JSON.stringify({ type: 'loadingStatus', message: `Quick scanned ${scanned}/${maxScans}… (h~${currentHeight})${skipped ? `, ${skipped} blocks unavailable` : ''}` }));
                 ws.send(JSON.stringify({ type: 'towers_partial', data: buckets }));
                 additionsSinceLastSend = 0;
             }
@@ -93,19 +472,27 @@ async function streamRecentTransactionsQuick(ws, blockScanLimit = 750, perTypeLi
     }
 }
 
-// Fetch all transactions for a given block height using GraphQL
+// Fetch all transactions for a given block height using GraphQL, walking every page.
+// Each page is retried from its own cursor, so a transient failure resumes where it
+// left off instead of starting over. Returns { edges, complete }; complete is false
+// when a page could not be fetched even after retries.
+const TX_PAGE_SIZE = 100; // largest page the arweave.net GraphQL endpoint serves
+const MAX_TX_PAGES = 2000; // runaway guard, far above the busiest bundled blocks
+
 async function fetchAllBlockTransactions(height) {
-    const url = 'https://arweave.net/graphql';
+    const cached = await readCache('txs', height);
+    if (Array.isArray(cached)) return { edges: cached, complete: true }; // pre-pagination cache format
+    if (cached) return cached;
+
     let edges = [];
     let after = null;
     let hasNextPage = true;
-    let attempts = 0;
-    const maxAttempts = 10;
-    
-    while (hasNextPage && attempts < maxAttempts) {
+    let pages = 0;
+
+    while (hasNextPage && pages < MAX_TX_PAGES) {
         const body = {
             query: `query($min: Int!, $max: Int!, $after: String) {
-                transactions(block: {min: $min, max: $max}, sort: HEIGHT_ASC, first: 100, after: $after) {
+                transactions(block: {min: $min, max: $max}, sort: HEIGHT_ASC, first: ${TX_PAGE_SIZE}, after: $after) {
                     pageInfo { hasNextPage }
                     edges { 
                         cursor
@@ -113,83 +500,82 @@ async function fetchAllBlockTransactions(height) {
                             id 
                             data { size } 
                             tags { name value } 
+                            bundledIn { id }
                         } 
                     }
                 }
             }`,
             variables: { min: height, max: height, after }
         };
-        let resp;
+        let page;
         try {
-            resp = await axios.post(url, body, { headers: { 'Content-Type': 'application/json' } });
+            const resp = await withRetry(async () => {
+                const res = await gatewayPost('/graphql', body);
+                if (!(res.data && res.data.data && res.data.data.transactions)) {
+                    const reason = res.data && res.data.errors ? JSON.stringify(res.data.errors) : 'empty response';
+                    throw new Error(`GraphQL returned no transactions: ${reason}`);
+                }
+                return res;
+            }, RETRY_POLICY, `GraphQL page ${pages + 1} for block ${height}`);
+            page = resp.data.data.transactions;
         } catch (err) {
-            // Log GraphQL errors and fallback to single page (first:100)
             const data = err.response && err.response.data ? JSON.stringify(err.response.data) : err.message;
-            console.error('GraphQL page request failed:', data);
-            const fallbackBody = {
-                query: `query($min: Int!, $max: Int!) {
-                    transactions(block: {min: $min, max: $max}, sort: HEIGHT_ASC, first: 100) {
-                        edges { node { id data { size } tags { name value } } }
-                    }
-                }`,
-                variables: { min: height, max: height }
-            };
-            try {
-                const fbResp = await axios.post(url, fallbackBody, { headers: { 'Content-Type': 'application/json' } });
-                const fbPage = fbResp.data && fbResp.data.data && fbResp.data.data.transactions;
-                if (fbPage && fbPage.edges) edges = edges.concat(fbPage.edges);
-            } catch (fbErr) {
-                console.error('GraphQL fallback failed:', fbErr.response && fbErr.response.data ? fbErr.response.data : fbErr.message);
-            }
-            break;
+            console.error(`Giving up on transactions for block ${height} after ${edges.length} (page ${pages + 1}):`, data);
+            return { edges, complete: false };
         }
-        const page = resp.data && resp.data.data && resp.data.data.transactions;
-        if (!page) break;
-        edges = edges.concat(page.edges || []);
-        hasNextPage = page.pageInfo?.hasNextPage;
+
+        const pageEdges = page.edges || [];
+        edges = edges.concat(pageEdges);
+        hasNextPage = !!page.pageInfo?.hasNextPage;
         // Use the last cursor as the after value for next page
-        const lastEdge = page.edges && page.edges[page.edges.length - 1];
+        const lastEdge = pageEdges[pageEdges.length - 1];
+        if (hasNextPage && !lastEdge?.cursor) {
+            console.error(`GraphQL claimed more pages for block ${height} but returned no cursor.`);
+            return { edges, complete: false };
+        }
         after = lastEdge?.cursor || null;
-        attempts++;
-        // Be polite to the endpoint
-        if (hasNextPage) await new Promise(r => setTimeout(r, 100));
+        pages++;
     }
-    return edges;
+
+    const result = { edges, complete: !hasNextPage };
+    // Only a block that was read to the last page is worth keeping
+    if (result.complete) await writeCache('txs', height, result);
+    return result;
 }
 
-// Stream recent media transactions using targeted GraphQL query
+// Stream recent media transactions using targeted GraphQL query. The search is bounded
+// to the blocks mined in the last `days` days and walks them newest-first.
 async function streamMediaTransactions(ws, days = 30, perTypeLimit = 500) {
     try {
         const now = new Date();
         const startDate = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
-        const startTs = Math.floor(startDate.getTime() / 1000);
-        const url = 'https://arweave.net/graphql';
-        const buckets = { image: [], video: [], audio: [], application: [], other: [] };
+        const buckets = Object.fromEntries(categories.listCategories().map(category => [category.id, []]));
         let additionsSinceLastSend = 0;
 
-        const wantMore = () => (
-            buckets.image.length < perTypeLimit ||
-            buckets.video.length < perTypeLimit ||
-            buckets.audio.length < perTypeLimit
-        );
-
         ws.send(JSON.stringify({ type: 'loadingStatus', message: `Searching for media transactions in the last ${days} days...` }));
-        console.log('Starting media search for last', days, 'days from', startTs);
+
+        const info = await fetchNetworkInfo();
+        const maxHeight = info.height;
+        const minHeight = await findStartHeightForDate(startDate, ws);
+        if (minHeight === null) return; // findStartHeightForDate already reported the error
+        console.log(`Starting media search for last ${days} days: heights ${minHeight}-${maxHeight}`);
 
         const contentTypes = ['image/', 'video/', 'audio/'];
         for (const ct of contentTypes) {
+            const bucket = buckets[ct.slice(0, -1)];
             let after = null;
-            let hasNextPage = true;
-            let page = 1;
+            let hasNextPage = minHeight <= maxHeight;
 
-            while (hasNextPage && wantMore()) {
+            while (hasNextPage && bucket.length < perTypeLimit) {
+                if (ws.readyState !== WebSocket.OPEN) return;
                 const body = {
-                    query: `query($after: String) {
+                    query: `query($after: String, $min: Int!, $max: Int!) {
                         transactions(
                             tags: [
                                 { name: "Content-Type", values: ["${ct}*"] }
                             ],
-                            sort: HEIGHT_ASC,
+                            block: { min: $min, max: $max },
+                            sort: HEIGHT_DESC,
                             first: 100,
                             after: $after
                         ) {
@@ -200,34 +586,32 @@ async function streamMediaTransactions(ws, days = 30, perTypeLimit = 500) {
                                     id
                                     data { size }
                                     tags { name value }
-                                    block { timestamp }
+                                    block { height timestamp }
                                 }
                             }
                         }
                     }`,
-                    variables: { after }
+                    variables: { after, min: minHeight, max: maxHeight }
                 };
                 let resp;
                 try {
-                    resp = await axios.post(url, body, { headers: { 'Content-Type': 'application/json' } });
+                    resp = await withRetry(() => gatewayPost('/graphql', body), RETRY_POLICY, `Media search for ${ct}`);
                 } catch (err) {
                     console.error('GraphQL query failed for', ct, ':', err.message);
                     break;
                 }
                 const page = resp.data && resp.data.data && resp.data.data.transactions;
                 if (!page) break;
-                for (const edge of page.edges) {
+                for (const edge of page.edges || []) {
                     const node = edge.node;
                     const tagsObj = (node.tags || []).reduce((acc, t) => { acc[t.name] = t.value; return acc; }, {});
-                    const ct = tagsObj['Content-Type'] || 'other';
-                    const main = (typeof ct === 'string' && ct.includes('/')) ? ct.split('/')[0] : 'other';
-                    const key = ['image','video','audio'].includes(main) ? main : 'other';
+                    const key = categories.categorize(tagsObj);
                     if (buckets[key] && buckets[key].length < perTypeLimit) {
                         buckets[key].push({
                             id: node.id,
                             data_size: node.data?.size || 0,
                             tags: tagsObj,
-                            height: node.block?.timestamp || 0,
+                            height: node.block?.height ?? null,
                             timestamp: node.block?.timestamp || 0
                         });
                         additionsSinceLastSend++;
@@ -235,7 +619,8 @@ async function streamMediaTransactions(ws, days = 30, perTypeLimit = 500) {
                 }
                 hasNextPage = page.pageInfo?.hasNextPage;
                 const lastEdge = page.edges && page.edges[page.edges.length - 1];
-                after = lastEdge?.cursor || null;
+                if (!lastEdge?.cursor) break; // empty page, or cannot page on without a cursor
+                after = lastEdge.cursor;
                 if (additionsSinceLastSend >= 20) {
                     ws.send(JSON.stringify({ type: 'towers_partial', data: buckets }));
                     additionsSinceLastSend = 0;
@@ -260,58 +645,646 @@ function getTxColor(tx) {
 }
 
 
-// Helper to find the first block height of a given UTC day
+// Helper to find the first block height of a given UTC day. Resolves from the height
+// index where possible and probes the gateway only inside the remaining bracket.
 async function findStartHeightForDate(targetDate, ws) {
     const targetTimestamp = Math.floor(targetDate.getTime() / 1000);
     ws.send(JSON.stringify({ type: 'loadingStatus', message: 'Finding start block for the day...' }));
 
     try {
-        const info = await axios.get('https://arweave.net/info');
-        const currentTimestamp = Math.floor(Date.now() / 1000);
-        
-        // Remove future date check - fetch blocks for any requested date
+        const info = await fetchNetworkInfo();
+        const headHeight = info.height;
 
-        let high = info.data.height;
-        let low = 0;
-        let startHeight = -1;
+        // Anchor both ends of the chain so every lookup has a bracket to work in
+        if (!heightIndex.has(0)) await fetchBlock(0);
+        if (!heightIndex.has(headHeight)) await fetchBlock(headHeight);
 
-        while (low <= high) {
-            let mid = Math.floor(low + (high - low) / 2);
-            try {
-                const block = (await axios.get(`https://arweave.net/block/height/${mid}`)).data;
-                if (block.timestamp >= targetTimestamp) {
-                    startHeight = mid;
-                    high = mid - 1; // Found a potential start, try to find an even earlier one
-                } else {
-                    low = mid + 1; // Block is too early, search higher
-                }
-            } catch (blockError) {
-                // This height might not exist, so search lower.
-                high = mid - 1;
-            }
-            await new Promise(resolve => setTimeout(resolve, 200));
+        let { low, high } = bracketTimestamp(targetTimestamp, headHeight);
+        if (high > headHeight) {
+            console.log(`No blocks found at or after the target timestamp. The blockchain may not have reached this date.`);
+            return headHeight + 1; // Return a height that will result in 0 blocks streamed
         }
 
-        if (startHeight === -1) {
-            console.log(`No blocks found at or after the target timestamp. The blockchain may not have reached this date.`);
-            return info.data.height + 1; // Return a height that will result in 0 blocks streamed
+        // Alternate interpolation (blocks are roughly evenly spaced in time) with plain
+        // bisection so a lopsided bracket still converges in logarithmic time.
+        let probes = 0;
+        while (high - low > 1) {
+            let mid;
+            if (probes % 2 === 0 && low >= 0) {
+                const lowTs = heightIndex.get(low);
+                const highTs = heightIndex.get(high);
+                const fraction = highTs > lowTs ? (targetTimestamp - lowTs) / (highTs - lowTs) : 0.5;
+                mid = low + Math.round(fraction * (high - low));
+            } else {
+                mid = Math.floor(low + (high - low) / 2);
+            }
+            mid = Math.max(low + 1, Math.min(high - 1, mid));
+
+            const { data: block } = await withRetry(() => fetchBlock(mid), RETRY_POLICY, `Block ${mid}`);
+            if (block.timestamp >= targetTimestamp) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+            probes++;
         }
 
-        console.log(`Found start height for ${targetDate.toDateString()}: ${startHeight}`);
-        return startHeight;
+        console.log(`Found start height for ${targetDate.toDateString()}: ${high} (${probes} probes)`);
+        return high;
 
     } catch (error) {
         console.error('Error in findStartHeightForDate:', error.message);
         ws.send(JSON.stringify({ type: 'error', message: 'Failed to find start block.' }));
-        return 0;
+        return null;
     }
 }
 
-async function streamBlocksForDay(ws, date, streamControl, visualOnly = false, endTimestampOverride = null) {
-    let visualBlockSent = false;
+// ---- ANS-104 Bundles ----
+// Most data reaches Arweave as ANS-104 bundles: one layer-1 transaction whose data is a
+// binary list of signed data items. Gateways that index data items expose them through
+// GraphQL (bundledIn); otherwise the bundle header is read straight from its data with
+// range requests, decoded by ans104.js.
+const BUNDLE_ITEM_LIMIT = 100; // data items returned per get_bundle request
+
+function isBundleTags(tags) {
+    return !!(tags && tags['Bundle-Format'] && tags['Bundle-Version']);
+}
+
+// Read data item headers straight from a bundle's binary data
+async function unpackBundleBinary(bundleId, offset = 0, limit = BUNDLE_ITEM_LIMIT) {
+    const dataPath = `/${bundleId}`;
+    const countBuf = await withRetry(() => gatewayGetRange(dataPath, 0, 31), RETRY_POLICY, `Bundle ${bundleId} header`);
+    const total = readLittleEndian(countBuf, 0, 32);
+    if (total === 0) return { total, items: [] };
+
+    const headerEnd = 32 + total * 64;
+    const index = await withRetry(() => gatewayGetRange(dataPath, 32, headerEnd - 1), RETRY_POLICY, `Bundle ${bundleId} index`);
+
+    // Items are laid out back to back after the index, so offsets are a running sum
+    let itemOffset = headerEnd;
+    const entries = [];
+    for (let i = 0; i < total; i++) {
+        const size = readLittleEndian(index, i * 64, 32);
+        const id = toBase64Url(index.subarray(i * 64 + 32, i * 64 + 64));
+        if (i >= offset && entries.length < limit) entries.push({ id, size, start: itemOffset });
+        itemOffset += size;
+    }
+
+    const items = [];
+    for (const entry of entries) {
+        let length = Math.min(entry.size, 2048);
+        let parsed = parseDataItemHeader(await gatewayGetRange(dataPath, entry.start, entry.start + length - 1));
+        if (!parsed.item && parsed.needed > length && parsed.needed <= entry.size) {
+            length = parsed.needed;
+            parsed = parseDataItemHeader(await gatewayGetRange(dataPath, entry.start, entry.start + length - 1));
+        }
+        if (!parsed.item) {
+            items.push({ id: entry.id, data_size: entry.size, tags: {}, bundledIn: bundleId, unreadable: true });
+            continue;
+        }
+        const { item } = parsed;
+        const tags = item.tags.reduce((acc, tag) => { acc[tag.name] = tag.value; return acc; }, {});
+        items.push({
+            id: entry.id,
+            data_size: entry.size - item.headerSize,
+            tags,
+            bundledIn: bundleId,
+            isBundle: isBundleTags(tags),
+            owner: item.owner,
+            target: item.target,
+            signatureType: item.signatureType
+        });
+    }
+    return { total, items };
+}
+
+// List the data items of a bundle: GraphQL first, the bundle binary as a fallback
+async function fetchBundleItems(bundleId, offset = 0) {
+    try {
+        let edges = [];
+        let after = null;
+        let hasNextPage = true;
+        while (hasNextPage && edges.length < offset + BUNDLE_ITEM_LIMIT) {
+            const body = {
+                query: `query($ids: [ID!], $after: String) {
+                    transactions(bundledIn: $ids, first: ${TX_PAGE_SIZE}, after: $after) {
+                        pageInfo { hasNextPage }
+                        edges { cursor node { id data { size } tags { name value } owner { address } } }
+                    }
+                }`,
+                variables: { ids: [bundleId], after }
+            };
+            const res = await withRetry(() => gatewayPost('/graphql', body), RETRY_POLICY, `Bundle ${bundleId} items`);
+            const page = res.data && res.data.data && res.data.data.transactions;
+            if (!page || !page.edges || page.edges.length === 0) break;
+            edges = edges.concat(page.edges);
+            hasNextPage = !!page.pageInfo?.hasNextPage;
+            after = page.edges[page.edges.length - 1].cursor;
+        }
+        if (edges.length > 0) {
+            const items = edges.slice(offset, offset + BUNDLE_ITEM_LIMIT).map(edge => {
+                const tags = edge.node.tags.reduce((acc, tag) => { acc[tag.name] = tag.value; return acc; }, {});
+                return {
+                    id: edge.node.id,
+                    data_size: edge.node.data.size,
+                    tags,
+                    bundledIn: bundleId,
+                    isBundle: isBundleTags(tags),
+                    owner: edge.node.owner ? edge.node.owner.address : null
+                };
+            });
+            const complete = !hasNextPage && offset + items.length >= edges.length;
+            return { source: 'graphql', items, total: complete ? edges.length : null, complete };
+        }
+    } catch (err) {
+        console.warn(`GraphQL lookup of bundle ${bundleId} failed, reading the binary instead:`, err.message);
+    }
+
+    const { total, items } = await unpackBundleBinary(bundleId, offset);
+    return { source: 'binary', items, total, complete: offset + items.length >= total };
+}
+
+async function sendBundleItems(ws, bundleId, offset) {
+    try {
+        const result = await fetchBundleItems(bundleId, offset);
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ type: 'bundleItems', data: { bundleId, offset, ...result } }));
+    } catch (err) {
+        console.error(`Failed to unpack bundle ${bundleId}:`, err.message);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', message: `Could not read bundle ${bundleId}: ${err.message}` }));
+        }
+    }
+}
+
+// ---- Search ----
+// Resolves a free-text query to something the client can open: a block (height or
+// indep_hash), a transaction or bundled data item, or a wallet address. Transactions are
+// looked up before wallets because both are 43-character base64url strings.
+const BLOCK_HASH_PATTERN = /^[a-zA-Z0-9_-]{64}$/;
+const ID_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+
+function isNotFound(err) {
+    return !!(err.response && (err.response.status === 404 || err.response.status === 400));
+}
+
+async function findTransactionBlock(txId) {
+    const body = {
+        query: `query($id: ID!) {
+            transactions(ids: [$id]) {
+                edges { node { id block { height timestamp } bundledIn { id } } }
+            }
+        }`,
+        variables: { id: txId }
+    };
+    const res = await withRetry(() => gatewayPost('/graphql', body), RETRY_POLICY, `GraphQL lookup of ${txId}`);
+    const node = res.data?.data?.transactions?.edges?.[0]?.node;
+    if (node) {
+        return {
+            pending: !node.block,
+            height: node.block ? node.block.height : null,
+            timestamp: node.block ? node.block.timestamp : null,
+            bundledIn: node.bundledIn ? node.bundledIn.id : null
+        };
+    }
+
+    // Not indexed by GraphQL: a layer-1 transaction still has a status record
+    return findTransactionStatusBlock(txId);
+}
+
+async function findTransactionStatusBlock(txId) {
+    try {
+        const status = await withRetry(() => gatewayGet(`/tx/${txId}/status`), RETRY_POLICY, `Status of ${txId}`);
+        if (status.status === 202) return { pending: true, height: null, timestamp: null, bundledIn: null };
+        const height = status.data && status.data.block_height;
+        if (typeof height !== 'number') return null;
+        const { data: block } = await withRetry(() => fetchBlock(height), RETRY_POLICY, `Block ${height}`);
+        return { pending: false, height, timestamp: block.timestamp, bundledIn: null };
+    } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+    }
+}
+
+async function findLatestOwnerTransaction(address) {
+    const body = {
+        query: `query($owner: String!) {
+            transactions(owners: [$owner], sort: HEIGHT_DESC, first: 1) {
+                edges { node { id block { height timestamp } } }
+            }
+        }`,
+        variables: { owner: address }
+    };
+    const res = await withRetry(() => gatewayPost('/graphql', body), RETRY_POLICY, `GraphQL owner lookup of ${address}`);
+    const node = res.data?.data?.transactions?.edges?.[0]?.node;
+    return node || null;
+}
+
+// Returns { kind, height, timestamp, ... } or null when nothing matches
+async function resolveSearchQuery(query) {
+    const q = query.trim();
+    try {
+        if (/^\d+$/.test(q)) {
+            const height = parseInt(q, 10);
+            const { data: block } = await withRetry(() => fetchBlock(height), RETRY_POLICY, `Block ${height}`);
+            return { kind: 'block', height, timestamp: block.timestamp };
+        }
+        if (BLOCK_HASH_PATTERN.test(q)) {
+            const res = await withRetry(() => gatewayGet(`/block/hash/${q}`), RETRY_POLICY, `Block ${q}`);
+            recordBlockTimestamp(res.data.height, res.data.timestamp);
+            return { kind: 'block', height: res.data.height, timestamp: res.data.timestamp };
+        }
+    } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+    }
+    if (!ID_PATTERN.test(q)) return null;
+
+    const tx = await findTransactionBlock(q);
+    if (tx) return { kind: 'tx', txId: q, ...tx };
+
+    // An address: open the block of its latest transaction
+    const latest = await findLatestOwnerTransaction(q);
+    if (latest && latest.block) {
+        return { kind: 'wallet', address: q, txId: latest.id, height: latest.block.height, timestamp: latest.block.timestamp };
+    }
+    return null;
+}
+
+async function sendSearchResult(ws, query) {
+    try {
+        const result = await resolveSearchQuery(query);
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (!result) {
+            ws.send(JSON.stringify({ type: 'error', code: protocol.ERROR_CODES.NOT_FOUND, message: `Nothing found for '${query}'` }));
+            return;
+        }
+        ws.send(JSON.stringify({ type: 'searchResult', data: { query, ...result } }));
+    } catch (err) {
+        console.error(`Search for ${query} failed:`, err.message);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', message: `Search failed: ${err.message}` }));
+        }
+    }
+}
+
+// ---- Transaction Details ----
+// The full record behind one transaction or data item, for the client's inspector.
+// GraphQL supplies tags, owner, amounts and block; the layer-1 header adds data_root,
+// format and anchor, and is the only source for transactions GraphQL has not indexed.
+const WINSTON_PER_AR = 10n ** 12n;
+
+function winstonToAr(winston) {
+    const value = BigInt(winston);
+    const fraction = (value % WINSTON_PER_AR).toString().padStart(12, '0').replace(/0+$/, '');
+    return fraction ? `${value / WINSTON_PER_AR}.${fraction}` : String(value / WINSTON_PER_AR);
+}
+
+function toAmount(winston) {
+    if (!/^\d+$/.test(String(winston ?? ''))) return null;
+    return { winston: String(winston), ar: winstonToAr(winston) };
+}
+
+// Signature schemes are told apart by public key length, using the ANS-104 table. Several
+// share 32-byte keys, in which case every candidate is named.
+function describeSignatureType(ownerKey) {
+    if (!ownerKey) return null;
+    const length = Buffer.from(ownerKey, 'base64url').length;
+    const names = Object.values(DATA_ITEM_SIGNATURES).filter(s => s.owner === length).map(s => s.name);
+    return names.length > 0 ? names.join('/') : null;
+}
+
+function decodeHeaderTags(tags) {
+    return (tags || []).map(tag => ({
+        name: Buffer.from(tag.name, 'base64url').toString('utf8'),
+        value: Buffer.from(tag.value, 'base64url').toString('utf8')
+    }));
+}
+
+async function fetchTransactionNode(txId) {
+    const body = {
+        query: `query($id: ID!) {
+            transactions(ids: [$id]) {
+                edges {
+                    node {
+                        id anchor recipient
+                        owner { address key }
+                        fee { winston }
+                        quantity { winston }
+                        data { size type }
+                        tags { name value }
+                        block { id height timestamp }
+                        bundledIn { id }
+                    }
+                }
+            }
+        }`,
+        variables: { id: txId }
+    };
+    const res = await withRetry(() => gatewayPost('/graphql', body), RETRY_POLICY, `GraphQL details of ${txId}`);
+    return res.data?.data?.transactions?.edges?.[0]?.node || null;
+}
+
+// Layer-1 header, or null for data items, pending and unknown ids
+async function fetchTransactionHeader(txId) {
+    try {
+        const res = await withRetry(() => gatewayGet(`/tx/${txId}`), RETRY_POLICY, `Header of ${txId}`);
+        return res.status === 200 && res.data && typeof res.data === 'object' ? res.data : null;
+    } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+    }
+}
+
+async function fetchTransactionDetails(txId) {
+    const node = await fetchTransactionNode(txId);
+    // Data items have no header of their own
+    const header = node && node.bundledIn ? null : await fetchTransactionHeader(txId);
+    if (!node && !header) return null;
+
+    let block = node && node.block
+        ? { height: node.block.height, hash: node.block.id, timestamp: node.block.timestamp }
+        : null;
+    if (!block && header) {
+        const located = await findTransactionStatusBlock(txId);
+        if (located && !located.pending) {
+            const { data } = await withRetry(() => fetchBlock(located.height), RETRY_POLICY, `Block ${located.height}`);
+            block = { height: located.height, hash: data.indep_hash, timestamp: data.timestamp };
+        }
+    }
+    const headHeight = block ? await refreshChainHead() : lastKnownHeight;
+    const tags = header ? decodeHeaderTags(header.tags) : node.tags || [];
+    const contentTypeTag = tags.find(tag => tag.name.toLowerCase() === 'content-type');
+
+    return {
+        id: txId,
+        owner: node ? node.owner.address : toBase64Url(crypto.createHash('sha256').update(Buffer.from(header.owner, 'base64url')).digest()),
+        target: (header ? header.target : node.recipient) || null,
+        quantity: toAmount(header ? header.quantity : node.quantity?.winston),
+        reward: toAmount(header ? header.reward : node.fee?.winston),
+        dataSize: parseInt((header ? header.data_size : node.data?.size) || '0', 10),
+        contentType: (node && node.data?.type) || (contentTypeTag ? contentTypeTag.value : null),
+        dataRoot: header ? header.data_root || null : null,
+        format: header ? header.format : 'ans104',
+        signatureType: describeSignatureType(header ? header.owner : node.owner.key),
+        anchor: (header ? header.last_tx : node.anchor) || null,
+        tags,
+        bundledIn: node && node.bundledIn ? node.bundledIn.id : null,
+        block,
+        pending: !block,
+        confirmations: block ? Math.max(1, headHeight - block.height + 1) : 0
+    };
+}
+
+async function sendTransactionDetails(ws, txId) {
+    try {
+        const details = await fetchTransactionDetails(txId);
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (!details) {
+            ws.send(JSON.stringify({ type: 'error', code: protocol.ERROR_CODES.NOT_FOUND, message: `Transaction ${txId} not found` }));
+            return;
+        }
+        ws.send(JSON.stringify({ type: 'txDetails', data: details }));
+    } catch (err) {
+        console.error(`Details for ${txId} failed:`, err.message);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', message: `Could not load transaction ${txId}: ${err.message}` }));
+        }
+    }
+}
+
+// ---- Transaction Queries ----
+// Wallet and tag searches page through GraphQL oldest first. Matching transactions are
+// grouped by the block they were mined in and sent as newBlock messages, so the client
+// draws them the same way as a day.
+const QUERY_TX_LIMIT = 10000; // default cap on transactions streamed per query
+const QUERY_MAX_PAGES = 500; // bounds scans narrowed by clauses GraphQL cannot evaluate
+
+// filters: { owners, tags, minHeight, maxHeight } for GraphQL; match(node) narrows the
+// results further. Returns { count, scanned, truncated }, or null if the stream was stopped.
+async function streamTransactionQuery(ws, streamControl, filters, { limit = QUERY_TX_LIMIT, match = null, label }) {
+    let after = null;
+    let hasNextPage = true;
+    let count = 0;
+    let scanned = 0;
+    let pages = 0;
+    let stoppedMidPage = false;
+    let blockGroup = null; // { height, timestamp, edges } for the block being collected
+
+    const sendBlockGroup = () => {
+        if (!blockGroup) return;
+        const block = { timestamp: blockGroup.timestamp };
+        ws.send(JSON.stringify(buildBlockPayload(block, blockGroup.height, { edges: blockGroup.edges, complete: true })));
+        blockGroup = null;
+    };
+
+    const block = (filters.minHeight !== undefined || filters.maxHeight !== undefined)
+        ? { min: filters.minHeight, max: filters.maxHeight }
+        : null;
+    // Pending transactions (not in a block yet) and those match() rejects are skipped
+    const isCounted = edge => !!edge.node.block && (!match || match(edge.node));
+
+    while (hasNextPage && count < limit && pages < QUERY_MAX_PAGES) {
+        if (ws.readyState !== WebSocket.OPEN || streamControl.stop) return null;
+        const body = {
+            query: `query($owners: [String!], $tags: [TagFilter!], $block: BlockFilter, $after: String) {
+                transactions(owners: $owners, tags: $tags, block: $block, sort: HEIGHT_ASC, first: ${TX_PAGE_SIZE}, after: $after) {
+                    pageInfo { hasNextPage }
+                    edges {
+                        cursor
+                        node {
+                            id
+                            data { size }
+                            tags { name value }
+                            bundledIn { id }
+                            block { height timestamp }
+                        }
+                    }
+                }
+            }`,
+            variables: { owners: filters.owners || null, tags: filters.tags || null, block, after }
+        };
+        const res = await withRetry(() => gatewayPost('/graphql', body), RETRY_POLICY, `GraphQL page ${pages + 1} of ${label}`);
+        const page = res.data && res.data.data && res.data.data.transactions;
+        if (!page) throw new Error('GraphQL returned no transactions');
+        pages++;
+
+        for (const [i, edge] of page.edges.entries()) {
+            if (count >= limit) {
+                // Truncated only if the cap cut off a transaction that would have counted
+                stoppedMidPage = page.edges.slice(i).some(isCounted);
+                break;
+            }
+            scanned++;
+            if (!isCounted(edge)) continue;
+            const { height, timestamp } = edge.node.block;
+            // A block can straddle two pages, so a group is only sent once the next one starts
+            if (blockGroup && blockGroup.height !== height) sendBlockGroup();
+            if (!blockGroup) blockGroup = { height, timestamp, edges: [] };
+            blockGroup.edges.push(edge);
+            count++;
+        }
+
+        const lastEdge = page.edges[page.edges.length - 1];
+        hasNextPage = !!page.pageInfo?.hasNextPage && !!lastEdge?.cursor;
+        after = lastEdge ? lastEdge.cursor : null;
+        if (pages % 10 === 0) {
+            ws.send(JSON.stringify({ type: 'loadingStatus', message: `${label}: ${count} found in ${scanned} scanned...` }));
+        }
+    }
+
+    if (ws.readyState !== WebSocket.OPEN || streamControl.stop) return null;
+    sendBlockGroup();
+    return { count, scanned, truncated: hasNextPage || stoppedMidPage };
+}
+
+// Everything an address has stored. A walletComplete message closes the stream.
+async function streamWalletTransactions(ws, address, streamControl, limit = QUERY_TX_LIMIT) {
+    try {
+        ws.send(JSON.stringify({ type: 'loadingStatus', message: `Loading transactions of ${address}...` }));
+        const result = await streamTransactionQuery(ws, streamControl, { owners: [address] }, { limit, label: `Wallet ${address}` });
+        if (!result) return;
+        ws.send(JSON.stringify({ type: 'walletComplete', data: { address, count: result.count, truncated: result.truncated } }));
+    } catch (err) {
+        console.error(`Failed to load wallet ${address}:`, err.message);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', message: `Could not load wallet ${address}: ${err.message}` }));
+        }
+    }
+}
+
+// Transactions matching a tag query (see tag-query.js), optionally within a height or
+// date range. Equality clauses go to GraphQL; the rest are checked here. Without either
+// an equality clause or a range the scan would cover the whole weave, so one is required.
+// A tagSearchComplete message closes the stream.
+async function streamTagSearch(ws, queryText, streamControl, range = {}) {
+    try {
+        const { clauses, errors } = tagQuery.parseTagQuery(queryText);
+        if (errors.length > 0 || clauses.length === 0) {
+            ws.send(JSON.stringify({ type: 'error', code: protocol.ERROR_CODES.INVALID_MESSAGE, message: errors[0] || 'The query is empty' }));
+            return;
+        }
+
+        let { fromHeight: minHeight, toHeight: maxHeight } = range;
+        if (minHeight === undefined && range.start) {
+            minHeight = await findStartHeightForDate(new Date(range.start), ws);
+            if (minHeight === null) return;
+            if (range.end) {
+                const afterEnd = await findStartHeightForDate(new Date(new Date(range.end).getTime() + 1), ws);
+                if (afterEnd === null) return;
+                maxHeight = afterEnd - 1;
+            }
+        }
+
+        const tags = tagQuery.toGraphQLTagFilters(clauses);
+        if (tags.length === 0 && minHeight === undefined) {
+            ws.send(JSON.stringify({ type: 'error', code: protocol.ERROR_CODES.INVALID_MESSAGE, message: 'Add an exact-match clause on a well-known tag (e.g. App-Name = value) or search within a date or height range' }));
+            return;
+        }
+
+        ws.send(JSON.stringify({ type: 'loadingStatus', message: `Searching for ${tagQuery.serializeTagQuery(clauses)}...` }));
+        const result = await streamTransactionQuery(ws, streamControl, {
+            tags: tags.length > 0 ? tags : null,
+            minHeight,
+            maxHeight
+        }, {
+            match: node => tagQuery.matchesTagQuery({ tags: node.tags, data_size: node.data.size }, clauses),
+            label: 'Tag search'
+        });
+        if (!result) return;
+        ws.send(JSON.stringify({ type: 'tagSearchComplete', data: { query: tagQuery.serializeTagQuery(clauses), ...result } }));
+    } catch (err) {
+        console.error('Tag search failed:', err.message);
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', message: `Tag search failed: ${err.message}` }));
+        }
+    }
+}
+
+// Shape a block and its GraphQL edges into the newBlock message the client renders.
+// `truncated` tells the client the transaction list is partial.
+function buildBlockPayload(block, height, { edges, complete }) {
+    const transactions = edges.map(edge => {
+        const tags = edge.node.tags.reduce((acc, tag) => { acc[tag.name] = tag.value; return acc; }, {});
+        return {
+            id: edge.node.id,
+            data_size: edge.node.data.size,
+            tags,
+            bundledIn: edge.node.bundledIn ? edge.node.bundledIn.id : null,
+            isBundle: isBundleTags(tags)
+        };
+    });
+    const hasVisual = transactions.some(tx => tx.tags['Content-Type'] && tx.tags['Content-Type'].startsWith('image/'));
+    // Lets the client show the block interval even when the previous block is not on screen
+    const previousTimestamp = heightIndex.get(height - 1);
+    // The block panel shows the reward in AR, converted here like the inspector's amounts
+    const reward = toAmount(block.reward);
+    return {
+        type: 'newBlock',
+        data: {
+            ...block,
+            height,
+            transactions,
+            isVisual: hasVisual,
+            truncated: !complete,
+            ...(previousTimestamp !== undefined ? { previousTimestamp } : {}),
+            ...(reward ? { rewardAr: reward.ar } : {})
+        }
+    };
+}
+
+function sendBlockFailed(ws, height, error) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    const status = error && error.response && error.response.status;
+    ws.send(JSON.stringify({
+        type: 'blockFailed',
+        data: { height, reason: status ? `HTTP ${status}` : (error && error.message) || 'unknown error' }
+    }));
+}
+
+// Fetch a single block on request, e.g. when the user clicks a missing block
+async function retryBlock(ws, height) {
+    try {
+        const blockRes = await withRetry(() => fetchBlock(height), RETRY_POLICY, `Block ${height}`);
+        const txResult = await fetchAllBlockTransactions(height);
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(buildBlockPayload(blockRes.data, height, txResult)));
+    } catch (error) {
+        console.error(`Retry of block ${height} failed:`, error.message);
+        sendBlockFailed(ws, height, error);
+    }
+}
+
+// ---- Live Mode ----
+// A live day stream keeps following the chain head once it has caught up, polling
+// /info and pushing newBlock messages as heights appear.
+const LIVE_POLL_INTERVAL_MS = parseInt(process.env.LIVE_POLL_INTERVAL_MS || '15000', 10);
+let lastHeadCheck = 0;
+
+// Shared by every live stream so the gateway sees one /info poll per interval
+async function refreshChainHead() {
+    if (Date.now() - lastHeadCheck >= LIVE_POLL_INTERVAL_MS / 2) {
+        lastHeadCheck = Date.now();
+        await fetchNetworkInfo();
+    }
+    return lastKnownHeight;
+}
+
+function sendLiveStatus(ws, latestHeight, latestTimestamp) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+        type: 'liveStatus',
+        headHeight: lastKnownHeight,
+        latestHeight,
+        latestTimestamp,
+        behind: Math.max(0, lastKnownHeight - latestHeight)
+    }));
+}
+
+async function streamBlocksForDay(ws, date, streamControl, visualOnly = false, endTimestampOverride = null, live = false) {
     try {
         ws.send(JSON.stringify({ type: 'loadingStatus', message: `Finding start block for ${date.toDateString()}...` }));
         const startHeight = await findStartHeightForDate(date, ws);
+        if (startHeight === null) return false; // the error has been reported; streaming from genesis would be worse
 
         // Calculate end-of-day timestamp (or use explicit override from client)
         let endOfDayTimestamp;
@@ -324,100 +1297,439 @@ async function streamBlocksForDay(ws, date, streamControl, visualOnly = false, e
         }
 
         ws.send(JSON.stringify({ type: 'loadingStatus', message: `Streaming blocks for ${date.toDateString()}...` }));
+        return await streamBlockHeights(ws, startHeight, streamControl, {
+            endTimestamp: endOfDayTimestamp,
+            visualOnly,
+            live,
+            label: date.toDateString()
+        });
+    } catch (error) {
+        console.error('Error in streamBlocksForDay:', error.message);
+        ws.send(JSON.stringify({ type: 'error', message: 'An error occurred while streaming blocks.' }));
+        return false;
+    }
+}
+
+// Stream blocks in height order from startHeight until one is mined after endTimestamp or
+// endHeight is passed. Live streams ignore endTimestamp and keep waiting at the chain head.
+// Returns whether a visual block was sent (for visualOnly streams).
+async function streamBlockHeights(ws, startHeight, streamControl, { endTimestamp = Infinity, endHeight = Infinity, visualOnly = false, live = false, label = 'range' } = {}) {
+    let visualBlockSent = false;
+    try {
+        // Heights are fetched ahead in parallel (rate limited per gateway) but sent in order.
+        // Blocks past the end of the day only cost a header fetch.
+        const isCancelled = () => ws.readyState !== WebSocket.OPEN || streamControl.stop;
+        const pipeline = createBlockPipeline(async (height) => {
+            const blockRes = await withRetry(() => fetchBlock(height), RETRY_POLICY, `Block ${height}`);
+            if (!live && blockRes.data.timestamp > endTimestamp) return { blockRes, txResult: null };
+            if (isCancelled()) throw new Error('Stream stopped');
+            const txResult = await fetchAllBlockTransactions(height);
+            return { blockRes, txResult };
+        }, { concurrency: getActiveGateway().concurrency, isCancelled });
+
+        // Stop prefetching at the first height the index already places after the day
+        const prefetchLimit = () => (live || !isFinite(endTimestamp)
+            ? Math.min(lastKnownHeight, endHeight)
+            : Math.min(lastKnownHeight, endHeight, bracketTimestamp(endTimestamp + 1, lastKnownHeight).high));
 
         let currentHeight = startHeight;
+        let caughtUp = false;
+        let latestTimestamp = null;
         while (true) {
             if (ws.readyState !== WebSocket.OPEN || streamControl.stop) {
                 console.log('WebSocket closed or stream stopped, stopping stream.');
                 break;
             }
+            if (currentHeight > endHeight) {
+                console.log(`Reached end height ${endHeight}. Stopping stream.`);
+                break;
+            }
+
+            // Past the known head: the day is done, or in live mode we wait for the next block
+            if (currentHeight > lastKnownHeight) {
+                try {
+                    await refreshChainHead();
+                } catch (error) {
+                    console.error('Failed to refresh chain head:', error.message);
+                }
+                if (currentHeight > lastKnownHeight) {
+                    if (!live) {
+                        console.log(`Reached chain head at block ${currentHeight - 1}. Stopping stream.`);
+                        break;
+                    }
+                    if (!caughtUp) {
+                        caughtUp = true;
+                        ws.send(JSON.stringify({ type: 'dayStreamComplete' }));
+                    }
+                    sendLiveStatus(ws, currentHeight - 1, latestTimestamp);
+                    await new Promise(resolve => setTimeout(resolve, LIVE_POLL_INTERVAL_MS));
+                    continue;
+                }
+            }
 
             try {
-                const blockRes = await axios.get(`https://arweave.net/block/height/${currentHeight}`);
+                const { blockRes, txResult } = await pipeline.take(currentHeight, prefetchLimit());
 
-                // Check if block timestamp is past the end of the day
-                if (blockRes.data.timestamp > endOfDayTimestamp) {
+                // Check if block timestamp is past the end of the day (live streams run on past midnight)
+                if (!live && blockRes.data.timestamp > endTimestamp) {
                     console.log(`End of day reached at block ${currentHeight}. Stopping stream.`);
                     break;
                 }
 
-                // Fetch full list of transactions for this block (GraphQL pages default to 10)
-                const edges = await fetchAllBlockTransactions(currentHeight);
-                const transactions = edges.map(edge => ({
-                    id: edge.node.id,
-                    data_size: edge.node.data.size,
-                    tags: edge.node.tags.reduce((acc, tag) => { acc[tag.name] = tag.value; return acc; }, {})
-                }));
+                if (ws.readyState !== WebSocket.OPEN || streamControl.stop) continue;
 
-                const hasVisual = transactions.some(tx => tx.tags['Content-Type'] && tx.tags['Content-Type'].startsWith('image/'));
+                const payload = buildBlockPayload(blockRes.data, currentHeight, txResult);
+                const hasVisual = payload.data.isVisual;
 
                 if (!visualOnly || hasVisual) {
-                    const payload = {
-                        type: 'newBlock',
-                        data: { ...blockRes.data, height: currentHeight, transactions: transactions, isVisual: hasVisual }
-                    };
                     ws.send(JSON.stringify(payload));
                     if (visualOnly && hasVisual) {
                         visualBlockSent = true;
                     }
                 }
 
+                latestTimestamp = blockRes.data.timestamp;
+                if (live) sendLiveStatus(ws, currentHeight, latestTimestamp);
+
                 currentHeight++;
-                await new Promise(resolve => setTimeout(resolve, 500));
 
             } catch (error) {
+                // Retries are exhausted; leave a gap the client can render and retry on demand
                 console.error(`Failed to process block ${currentHeight}:`, error.message);
-                currentHeight++; // Skip failed block
+                if (!visualOnly) sendBlockFailed(ws, currentHeight, error);
+                currentHeight++;
             }
         }
 
-        console.log(`Finished streaming ${date.toDateString()}`);
+        console.log(`Finished streaming ${label}`);
 
-        if (!visualOnly) {
+        if (!visualOnly && !caughtUp) {
              ws.send(JSON.stringify({ type: 'dayStreamComplete' }));
         }
 
         return visualBlockSent;
 
     } catch (error) {
-        console.error('Error in streamBlocksForDay:', error.message);
+        console.error(`Error streaming ${label}:`, error.message);
         ws.send(JSON.stringify({ type: 'error', message: 'An error occurred while streaming blocks.' }));
+        return visualBlockSent;
+    }
+}
+
+// ---- Request Parsing ----
+// Shared by the WebSocket handler and the REST routes so both accept the same parameters.
+
+// Support either {date: 'yyyy-mm-dd'} or {start: ISO, end: ISO}. Returns { error } when
+// the dates are unusable or span more than protocol.MAX_DAY_RANGE days.
+function parseDayRequest(params) {
+    let date;
+    let endOverride = null;
+    if (params.start) {
+        date = new Date(params.start);
+        if (params.end) {
+            const end = new Date(params.end);
+            endOverride = Math.floor(end.getTime() / 1000);
+        }
+    } else {
+        date = new Date(params.date);
+    }
+    if (isNaN(date.getTime()) || (endOverride !== null && !isFinite(endOverride))) {
+        return { error: 'Expected date=YYYY-MM-DD or start=ISO&end=ISO' };
+    }
+    if (endOverride !== null) {
+        const days = (endOverride * 1000 - date.getTime()) / (24 * 60 * 60 * 1000);
+        if (days < 0) return { error: 'end must not be before start' };
+        if (days > protocol.MAX_DAY_RANGE) return { error: `At most ${protocol.MAX_DAY_RANGE} days can be requested at once` };
     }
+    return { date, endOverride };
+}
+
+// {fromHeight, toHeight}, inclusive. Returns { error } when the range is unusable or
+// spans more than protocol.MAX_HEIGHT_RANGE blocks.
+function parseHeightRequest(params) {
+    const fromHeight = parseInt(params.fromHeight, 10);
+    const toHeight = parseInt(params.toHeight, 10);
+    if (!(fromHeight >= 0) || !(toHeight >= 0)) return { error: 'fromHeight and toHeight must be non-negative integers' };
+    if (toHeight < fromHeight) return { error: 'toHeight must not be below fromHeight' };
+    if (toHeight - fromHeight + 1 > protocol.MAX_HEIGHT_RANGE) return { error: `At most ${protocol.MAX_HEIGHT_RANGE} blocks can be requested at once` };
+    return { fromHeight, toHeight };
+}
+
+function parseQuickTowerLimits(params) {
+    return {
+        perType: Math.max(50, Math.min(1000, parseInt(params.perTypeLimit || '200', 10) || 200)),
+        blockLimit: Math.max(200, Math.min(20000, parseInt(params.blockScanLimit || '3000', 10) || 3000))
+    };
+}
+
+function parseRecentTowerLimits(params) {
+    return {
+        perTypeLimit: Math.max(1, Math.min(2000, parseInt(params.perTypeLimit || '500', 10) || 500)),
+        days: Math.max(1, Math.min(365, parseInt(params.days || '30', 10) || 30))
+    };
+}
+
+// ---- REST API ----
+// JSON equivalents of the WebSocket requests. The routes reuse the streaming functions
+// by handing them a socket-like collector that records messages instead of sending them,
+// and stop the work if the HTTP client goes away.
+function createMessageCollector(res) {
+    const collector = {
+        readyState: WebSocket.OPEN,
+        messages: [],
+        send(raw) { this.messages.push(JSON.parse(raw)); },
+        ofType(type) { return this.messages.filter(m => m.type === type); }
+    };
+    res.on('close', () => {
+        if (!res.writableEnded) collector.readyState = WebSocket.CLOSED;
+    });
+    return collector;
+}
+
+function sendApiError(res, status, message) {
+    res.status(status).json({ error: message });
+}
+
+app.get('/api/blocks', async (req, res) => {
+    if (req.query.fromHeight !== undefined || req.query.toHeight !== undefined) {
+        const range = parseHeightRequest(req.query);
+        if (range.error) return sendApiError(res, 400, range.error);
+        const collector = createMessageCollector(res);
+        await streamBlockHeights(collector, range.fromHeight, { stop: false }, { endHeight: range.toHeight, label: `blocks ${range.fromHeight}-${range.toHeight}` });
+        if (collector.readyState !== WebSocket.OPEN) return;
+        return res.json({
+            fromHeight: range.fromHeight,
+            toHeight: range.toHeight,
+            blocks: collector.ofType('newBlock').map(m => m.data),
+            failed: collector.ofType('blockFailed').map(m => m.data)
+        });
+    }
+
+    const day = parseDayRequest(req.query);
+    if (day.error) return sendApiError(res, 400, day.error);
+    const { date, endOverride } = day;
+    const collector = createMessageCollector(res);
+    await streamBlocksForDay(collector, date, { stop: false }, false, endOverride);
+    if (collector.readyState !== WebSocket.OPEN) return;
+
+    const blocks = collector.ofType('newBlock').map(m => m.data);
+    const errors = collector.ofType('error').map(m => m.message);
+    if (errors.length > 0 && blocks.length === 0) return sendApiError(res, 502, errors[0]);
+    res.json({
+        start: date.toISOString(),
+        end: endOverride !== null ? new Date(endOverride * 1000).toISOString() : null,
+        blocks,
+        failed: collector.ofType('blockFailed').map(m => m.data)
+    });
+});
+
+app.get('/api/block/:height', async (req, res) => {
+    const height = parseInt(req.params.height, 10);
+    if (!(height >= 0) || String(height) !== req.params.height) {
+        return sendApiError(res, 400, 'Height must be a non-negative integer');
+    }
+    try {
+        const blockRes = await withRetry(() => fetchBlock(height), RETRY_POLICY, `Block ${height}`);
+        const txResult = await fetchAllBlockTransactions(height);
+        res.json(buildBlockPayload(blockRes.data, height, txResult).data);
+    } catch (err) {
+        const status = err.response && err.response.status;
+        if (status === 404) return sendApiError(res, 404, `Block ${height} not found`);
+        sendApiError(res, 502, `Failed to fetch block ${height}: ${err.message}`);
+    }
+});
+
+app.get('/api/towers', async (req, res) => {
+    const mode = req.query.mode || 'quick';
+    const collector = createMessageCollector(res);
+    if (mode === 'quick') {
+        const { perType, blockLimit } = parseQuickTowerLimits(req.query);
+        await streamRecentTransactionsQuick(collector, blockLimit, perType);
+    } else if (mode === 'recent') {
+        const { perTypeLimit, days } = parseRecentTowerLimits(req.query);
+        await streamMediaTransactions(collector, days, perTypeLimit);
+    } else {
+        return sendApiError(res, 400, "mode must be 'quick' or 'recent'");
+    }
+    if (collector.readyState !== WebSocket.OPEN) return;
+
+    const towers = collector.ofType('towers').pop();
+    if (!towers) {
+        const error = collector.ofType('error').pop();
+        return sendApiError(res, 502, error ? error.message : 'Tower scan failed');
+    }
+    res.json(towers.data);
+});
+
+app.get('/api/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) return sendApiError(res, 400, 'Expected ?q=<tx id, height, block hash or address>');
+    const collector = createMessageCollector(res);
+    await sendSearchResult(collector, query);
+    if (collector.readyState !== WebSocket.OPEN) return;
+
+    const result = collector.ofType('searchResult').pop();
+    if (result) return res.json(result.data);
+    const error = collector.ofType('error').pop();
+    sendApiError(res, error && error.code === protocol.ERROR_CODES.NOT_FOUND ? 404 : 502, error ? error.message : 'Search failed');
+});
+
+app.get('/api/tx/:id', async (req, res) => {
+    const txId = req.params.id;
+    if (!ID_PATTERN.test(txId)) return sendApiError(res, 400, 'Invalid transaction id');
+    const collector = createMessageCollector(res);
+    await sendTransactionDetails(collector, txId);
+    if (collector.readyState !== WebSocket.OPEN) return;
+
+    const details = collector.ofType('txDetails').pop();
+    if (details) return res.json(details.data);
+    const error = collector.ofType('error').pop();
+    sendApiError(res, error && error.code === protocol.ERROR_CODES.NOT_FOUND ? 404 : 502, error ? error.message : 'Transaction lookup failed');
+});
+
+app.get('/api/wallet/:address', async (req, res) => {
+    const address = req.params.address;
+    if (!ID_PATTERN.test(address)) return sendApiError(res, 400, 'Invalid wallet address');
+    const limit = Math.max(1, Math.min(QUERY_TX_LIMIT, parseInt(req.query.limit || String(QUERY_TX_LIMIT), 10) || QUERY_TX_LIMIT));
+    const collector = createMessageCollector(res);
+    await streamWalletTransactions(collector, address, { stop: false }, limit);
+    if (collector.readyState !== WebSocket.OPEN) return;
+
+    const complete = collector.ofType('walletComplete').pop();
+    if (!complete) {
+        const error = collector.ofType('error').pop();
+        return sendApiError(res, 502, error ? error.message : 'Wallet lookup failed');
+    }
+    res.json({ ...complete.data, blocks: collector.ofType('newBlock').map(m => m.data) });
+});
+
+app.get('/api/tags', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+    const range = {};
+    if (req.query.fromHeight !== undefined || req.query.toHeight !== undefined) {
+        const heights = parseHeightRequest(req.query);
+        if (heights.error) return sendApiError(res, 400, heights.error);
+        Object.assign(range, heights);
+    } else if (req.query.start || req.query.date) {
+        const day = parseDayRequest(req.query);
+        if (day.error) return sendApiError(res, 400, day.error);
+        const { date, endOverride } = day;
+        const end = endOverride !== null ? new Date(endOverride * 1000) : new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+        Object.assign(range, { start: date.toISOString(), end: end.toISOString() });
+    }
+    const collector = createMessageCollector(res);
+    await streamTagSearch(collector, query, { stop: false }, range);
+    if (collector.readyState !== WebSocket.OPEN) return;
+
+    const complete = collector.ofType('tagSearchComplete').pop();
+    if (!complete) {
+        const error = collector.ofType('error').pop();
+        const status = error && error.code === protocol.ERROR_CODES.INVALID_MESSAGE ? 400 : 502;
+        return sendApiError(res, status, error ? error.message : 'Tag search failed');
+    }
+    res.json({ ...complete.data, blocks: collector.ofType('newBlock').map(m => m.data) });
+});
+
+app.get('/api/bundle/:id', async (req, res) => {
+    if (!/^[a-zA-Z0-9_-]{43}$/.test(req.params.id)) return sendApiError(res, 400, 'Invalid bundle id');
+    try {
+        const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+        res.json({ bundleId: req.params.id, offset, ...(await fetchBundleItems(req.params.id, offset)) });
+    } catch (err) {
+        sendApiError(res, 502, `Could not read bundle ${req.params.id}: ${err.message}`);
+    }
+});
+
+// ---- WebSocket Protocol ----
+// Replies to a request go through a channel that stamps the request's id onto every
+// message as requestId. The id is spliced into the serialized JSON so large block
+// payloads are not parsed and re-encoded.
+function createReplyChannel(ws, requestId) {
+    if (requestId === undefined || requestId === null) return ws;
+    const prefix = `{"requestId":${JSON.stringify(requestId)},`;
+    return {
+        get readyState() { return ws.readyState; },
+        send(raw) { ws.send(raw.startsWith('{"') ? prefix + raw.slice(1) : raw); }
+    };
+}
+
+function sendProtocolError(channel, code, message, details) {
+    if (channel.readyState !== WebSocket.OPEN) return;
+    channel.send(JSON.stringify({ type: 'error', code, message, ...(details ? { details } : {}) }));
 }
 
 let activeStreams = new Map(); // Track active streams per connection
 
 wss.on('connection', ws => {
     console.log('Client connected.');
+    ws.send(JSON.stringify({ type: 'gateway', url: getMediaGatewayUrl() }));
     
     ws.on('message', message => {
         console.log('Received message from client:', message);
-        const parsed = JSON.parse(message);
+        let parsed;
+        try {
+            parsed = JSON.parse(message);
+        } catch (err) {
+            sendProtocolError(ws, protocol.ERROR_CODES.INVALID_JSON, `Message is not valid JSON: ${err.message}`);
+            return;
+        }
+        const channel = createReplyChannel(ws, parsed && parsed.id);
+        const problems = protocol.validateMessage('client', parsed);
+        if (problems.length > 0) {
+            const code = problems[0].startsWith('unknown message type')
+                ? protocol.ERROR_CODES.UNKNOWN_TYPE
+                : protocol.ERROR_CODES.INVALID_MESSAGE;
+            sendProtocolError(channel, code, `Invalid ${parsed && parsed.type || 'message'}: ${problems.join('; ')}`, problems);
+            return;
+        }
         console.log('Parsed client message:', parsed);
-        if (parsed.type === 'get_day') {
+
+        if (parsed.type === 'hello') {
+            if (!protocol.SUPPORTED_VERSIONS.includes(parsed.version)) {
+                sendProtocolError(channel, protocol.ERROR_CODES.UNSUPPORTED_VERSION,
+                    `Protocol version ${parsed.version} is not supported`, protocol.SUPPORTED_VERSIONS.map(String));
+                return;
+            }
+            ws.protocolVersion = parsed.version;
+            channel.send(JSON.stringify({
+                type: 'welcome',
+                version: parsed.version,
+                supportedVersions: protocol.SUPPORTED_VERSIONS
+            }));
+        } else if (parsed.type === 'get_day') {
+            const day = parseDayRequest(parsed);
+            if (day.error) {
+                sendProtocolError(channel, protocol.ERROR_CODES.INVALID_MESSAGE, day.error);
+                return;
+            }
             // Stop any existing stream for this connection
             if (activeStreams.has(ws)) {
                 activeStreams.get(ws).stop = true;
             }
-            // Support either {date: 'yyyy-mm-dd'} or {start: ISO, end: ISO}
-            let date;
-            let endOverride = null;
-            if (parsed.start) {
-                date = new Date(parsed.start);
-                if (parsed.end) {
-                    const end = new Date(parsed.end);
-                    endOverride = Math.floor(end.getTime() / 1000);
-                }
-            } else {
-                date = new Date(parsed.date);
-            }
-            console.log(`Requesting data for date: ${date.toUTCString()}${endOverride ? ` (end=${endOverride})` : ''}`);
+            const { date, endOverride } = day;
+            console.log(`Requesting data for date: ${date.toUTCString()}${endOverride ? ` (end=${endOverride})` : ''}${parsed.live ? ' (live)' : ''}`);
             
             // Create stream control object
             const streamControl = { stop: false };
             activeStreams.set(ws, streamControl);
             
-            streamBlocksForDay(ws, date, streamControl, false, endOverride);
+            streamBlocksForDay(channel, date, streamControl, false, endOverride, parsed.live === true);
+        } else if (parsed.type === 'get_heights') {
+            const range = parseHeightRequest(parsed);
+            if (range.error) {
+                sendProtocolError(channel, protocol.ERROR_CODES.INVALID_MESSAGE, range.error);
+                return;
+            }
+            if (activeStreams.has(ws)) {
+                activeStreams.get(ws).stop = true;
+            }
+            console.log(`Requesting blocks ${range.fromHeight}-${range.toHeight}`);
+            const streamControl = { stop: false };
+            activeStreams.set(ws, streamControl);
+            streamBlockHeights(channel, range.fromHeight, streamControl, {
+                endHeight: range.toHeight,
+                label: `blocks ${range.fromHeight}-${range.toHeight}`
+            });
         } else if (parsed.type === 'get_day_visual') {
             if (activeStreams.has(ws)) {
                 activeStreams.get(ws).stop = true;
@@ -430,34 +1742,57 @@ wss.on('connection', ws => {
             (async () => {
                 let searchDate = date;
                 for (let i = 0; i < 7; i++) { // Limit search to 7 days
-                    const found = await streamBlocksForDay(ws, searchDate, streamControl, true);
+                    const found = await streamBlocksForDay(channel, searchDate, streamControl, true);
                     if (found) {
-                        ws.send(JSON.stringify({ type: 'dayStreamComplete' }));
+                        channel.send(JSON.stringify({ type: 'dayStreamComplete' }));
                         break;
                     }
                     if (i === 6) { // If no content found after 7 days
-                         ws.send(JSON.stringify({ type: 'error', message: 'No visual content found in the last 7 days.' }));
+                         channel.send(JSON.stringify({ type: 'error', message: 'No visual content found in the last 7 days.' }));
                     }
                     searchDate.setDate(searchDate.getDate() - 1);
                 }
             })();
+        } else if (parsed.type === 'get_wallet') {
+            if (activeStreams.has(ws)) {
+                activeStreams.get(ws).stop = true;
+            }
+            const streamControl = { stop: false };
+            activeStreams.set(ws, streamControl);
+            const limit = Math.min(QUERY_TX_LIMIT, parsed.limit || QUERY_TX_LIMIT);
+            streamWalletTransactions(channel, parsed.address, streamControl, limit);
+        } else if (parsed.type === 'tag_search') {
+            if (activeStreams.has(ws)) {
+                activeStreams.get(ws).stop = true;
+            }
+            const streamControl = { stop: false };
+            activeStreams.set(ws, streamControl);
+            const { fromHeight, toHeight, start, end } = parsed;
+            streamTagSearch(channel, parsed.query, streamControl, { fromHeight, toHeight, start, end });
+        } else if (parsed.type === 'search') {
+            sendSearchResult(channel, parsed.query.trim());
+        } else if (parsed.type === 'get_tx') {
+            sendTransactionDetails(channel, parsed.txId);
+        } else if (parsed.type === 'get_bundle') {
+            sendBundleItems(channel, parsed.bundleId, parsed.offset || 0);
+        } else if (parsed.type === 'retry_block') {
+            retryBlock(channel, parsed.height);
         } else if (parsed.type === 'get_towers_recent_30d') {
-            const limit = Math.max(1, Math.min(2000, parseInt(parsed.perTypeLimit || '500', 10) || 500));
+            const { perTypeLimit: limit, days } = parseRecentTowerLimits(parsed);
             if (activeStreams.has(ws)) {
                 activeStreams.get(ws).stop = true;
                 activeStreams.delete(ws);
             }
-            streamMediaTransactions(ws, 30, limit);
+            streamMediaTransactions(channel, days, limit);
         } else if (parsed.type === 'get_towers_quick') {
             console.log('Received get_towers_quick with perType:', parsed.perTypeLimit, 'blockLimit:', parsed.blockScanLimit);
-            const perType = Math.max(50, Math.min(1000, parseInt(parsed.perTypeLimit || '200', 10) || 200));
-            const blockLimit = Math.max(200, Math.min(20000, parseInt(parsed.blockScanLimit || '3000', 10) || 3000));
+            const { perType, blockLimit } = parseQuickTowerLimits(parsed);
             // Stop any existing stream
             if (activeStreams.has(ws)) {
                 activeStreams.get(ws).stop = true;
                 activeStreams.delete(ws);
             }
-            streamRecentTransactionsQuick(ws, blockLimit, perType);
+            streamRecentTransactionsQuick(channel, blockLimit, perType);
         }
     });
 
@@ -486,6 +1821,22 @@ app.get('*', (_req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+loadHeightIndex();
+
 server.listen(port, () => {
     console.log(`Server listening on http://localhost:${port}`);
+    console.log(`Gateways: ${gateways.map(g => g.url).join(', ')}`);
+    checkAllGateways().then(() => {
+        announcedMediaGateway = getMediaGatewayUrl();
+        console.log(`Active gateway: ${getActiveGateway().url}`);
+    });
+    setInterval(checkAllGateways, GATEWAY_HEALTH_INTERVAL_MS);
+    setInterval(saveHeightIndex, HEIGHT_INDEX_SAVE_INTERVAL_MS);
 });
+
+// Flush the height index before exiting so restarts keep what was learned
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        saveHeightIndex().finally(() => process.exit(0));
+    });
+}
@@ -12,92 +12,134 @@ let cameraMode = 'default'; // 'default', 'top', 'iso'
 let currentlyDisplayedDate = new Date();
 let currentPreviewableTxs = [];
 let currentTxIndex = 0;
-let audioSymbolTexture, videoSymbolTexture;
-const textureCache = {};
+let previewToken = 0; // bumped on every preview so late loads for an earlier one are dropped
+let previewAbort = null; // AbortController for the text, JSON or manifest being fetched
+let previewManifest = null; // { tx, entries, returnTo } while browsing a path manifest
+const PREVIEW_TEXT_LIMIT = 64 * 1024; // bytes of text or JSON shown in the preview panel
+const MEDIA_PREVIEW_KINDS = ['image', 'video', 'audio'];
+const PDF_WORKER_URL = 'https://unpkg.com/pdfjs-dist@4.4.168/build/pdf.worker.min.mjs';
+const symbolTextures = {}; // category id -> texture showing the category's symbol
+const bundleItemCache = {}; // bundleId -> data items unpacked by the server
 const frustum = new THREE.Frustum();
 const cameraMatrix = new THREE.Matrix4();
+const renderBox = new THREE.Box3();
+let lastRenderStatsUpdate = 0;
 let activeFilterType = null;
+let mediaGatewayUrl = 'https://arweave.net'; // replaced by the server's 'gateway' message
+let isLiveView = false; // following the chain head (viewing today)
+let sceneMode = 'day'; // 'day' (block monolith), 'wallet' (one address) or 'towers' (recent media by type)
+let walletSummary = null; // running totals for the wallet on screen
+let currentRange = null; // { start, end } or { fromHeight, toHeight } when not viewing a single day
+let lastBlockDay = null; // UTC day of the newest block, to mark where each day of a range starts
+const viewDays = new Set(); // UTC days covered by the blocks on screen
+let searchRequestId = null; // only the latest search's reply is acted on
+let txDetailsRequestId = null; // only the latest get_tx reply fills the inspector
+let pendingFocus = null; // { height, txId, bundledIn } to select once that block has streamed in
+let selectedBlock = null;
+let infoBlock = null; // block shown in the block panel, the origin for prev/next
+let selectedTxId = null; // transaction open in the preview panel or inspector
+let isRestoringUrl = false; // applying the URL, so view changes must not write it back
+let cameraMoved = false; // the user has moved the camera since the view was placed
+let pendingPose = null; // camera pose from the URL, applied once the focused block arrives
+let urlUpdateTimer = null;
+let isFocusedView = false; // a search result is in focus, so streaming must not move the camera
+const dayBandColors = [0x4fc3f7, 0xffb74d, 0x81c784, 0xe57373, 0xba68c8, 0xfff176];
+const Protocol = window.ArweaveProtocol; // loaded from protocol.js before this module
+const TagQuery = window.ArweaveTagQuery; // loaded from tag-query.js before this module
+let activeTagQuery = null; // parsed clauses narrowing what is shown, or null
+const legendCounts = {}; // content type -> transactions on screen passing the tag query
+let nextRequestId = 1;
+const currentViewRequestIds = new Set(); // get_day and retry_block ids feeding the current view
 
 // Block stats
 const blockBaseSize = 25;
 let blockCount = 0;
+let failedBlockCount = 0;
+let truncatedBlockCount = 0; // blocks whose transaction list the server could only partly fetch
 let dailyTotalSize = 0;
 let startYOffset = -200;
 const verticalStep = 2;
 
-// Content type styles
-const contentTypeDataStyles = {
-    image: { name: 'Image', outlineColor: 0xFFFFFF, cubeColor: 0xCCCCCC },       // Whitish
-    video: { name: 'Video', outlineColor: 0xFFFFFF, cubeColor: 0xCCCCCC },       // Whitish
-    audio: { name: 'Audio', outlineColor: 0xFFFFFF, cubeColor: 0xCCCCCC },       // Whitish
-    other: { name: 'Other', outlineColor: 0x808080, cubeColor: 0x1C1C1C },       // Black/Grey
-};
-
+// Media towers
+const towerTypes = ['image', 'video', 'audio'];
+const towerSpacing = 70;     // distance between tower centres
+const towerFootprint = 3;    // items per side of each floor
+const towerItemSize = 6;
+const towerFloorHeight = 7;
+const towerPerTypeLimit = 200;
+const towerBlockScanLimit = 1500;
+const towerItems = { image: [], video: [], audio: [] }; // txs per tower, in stacking order
+const towerItemIds = new Set();
+
+// Content type styles, one per category in categories.js (registered before this module loads)
+const Categories = window.ArweaveCategories;
+const contentTypeDataStyles = Object.fromEntries(Categories.listCategories().map(category => [
+    category.id,
+    { name: category.name, outlineColor: category.outlineColor, cubeColor: category.cubeColor }
+]));
+
+// Blocks made up of a single category that has a symbol show it on every face
 function createSymbolTextures() {
     const textureSize = 256;
-    const backgroundColor = '#CCCCCC';
-    const symbolColor = '#1C1C1C';
-
-    // Audio Symbol (Musical Note - G Clef)
-    const audioCanvas = document.createElement('canvas');
-    audioCanvas.width = textureSize;
-    audioCanvas.height = textureSize;
-    const audioCtx = audioCanvas.getContext('2d');
-    audioCtx.fillStyle = backgroundColor;
-    audioCtx.fillRect(0, 0, textureSize, textureSize);
-    audioCtx.font = `${textureSize * 0.8}px serif`;
-    audioCtx.fillStyle = symbolColor;
-    audioCtx.textAlign = 'center';
-    audioCtx.textBaseline = 'middle';
-    audioCtx.fillText('𝄞', textureSize / 2, textureSize / 2);
-    audioSymbolTexture = new THREE.CanvasTexture(audioCanvas);
-
-    // Video Symbol (Play Button)
-    const videoCanvas = document.createElement('canvas');
-    videoCanvas.width = textureSize;
-    videoCanvas.height = textureSize;
-    const videoCtx = videoCanvas.getContext('2d');
-    videoCtx.fillStyle = backgroundColor;
-    videoCtx.fillRect(0, 0, textureSize, textureSize);
-    videoCtx.font = `${textureSize * 0.8}px sans-serif`;
-    videoCtx.fillStyle = symbolColor;
-    videoCtx.textAlign = 'center';
-    videoCtx.textBaseline = 'middle';
-    videoCtx.fillText('▶', textureSize / 2, textureSize / 2);
-    videoSymbolTexture = new THREE.CanvasTexture(videoCanvas);
+    const toCss = color => `#${color.toString(16).padStart(6, '0')}`;
+
+    Categories.listCategories().forEach(category => {
+        if (!category.symbol) return;
+        const canvas = document.createElement('canvas');
+        canvas.width = textureSize;
+        canvas.height = textureSize;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = toCss(category.cubeColor);
+        ctx.fillRect(0, 0, textureSize, textureSize);
+
+        // Dark symbol on light cubes, the outline colour on dark ones
+        const cube = new THREE.Color(category.cubeColor);
+        const isLight = cube.r * 0.299 + cube.g * 0.587 + cube.b * 0.114 > 0.5;
+        const glyphs = [...category.symbol].length;
+        ctx.font = `${Math.round(textureSize * (glyphs > 1 ? 1.4 / glyphs : 0.8))}px serif`;
+        ctx.fillStyle = isLight ? '#1C1C1C' : toCss(category.outlineColor);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(category.symbol, textureSize / 2, textureSize / 2);
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.userData.isShared = true;
+        symbolTextures[category.id] = texture;
+    });
 }
 
 // ---- Helper Functions ----
 function formatBytes(bytes) {
     if (bytes === 0) return '0 B';
     const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
 function getTransactionContentType(tx) {
     if (!tx || !tx.tags) return 'other';
-    
-    const contentTypeTag = tx.tags.find ? 
-        tx.tags.find(tag => tag.name === 'Content-Type') :
-        tx.tags['Content-Type'];
-    
-    if (!contentTypeTag) return 'other';
-    
-    const contentTypeValue = (typeof contentTypeTag === 'string') ? contentTypeTag : contentTypeTag.value;
-    if (typeof contentTypeValue !== 'string') return 'other';
+    return Categories.categorize(tx.tags);
+}
 
-    if (contentTypeValue.startsWith('image/')) return 'image';
-    if (contentTypeValue.startsWith('video/')) return 'video';
-    if (contentTypeValue.startsWith('audio/')) return 'audio';
-    return 'other';
+// How the preview panel shows a transaction ('image', 'json', 'manifest', ...), or null
+function getPreviewKind(tx) {
+    if (!tx || !tx.tags) return null;
+    return Categories.getPreview(tx.tags);
+}
+
+function getTxDataUrl(txId) {
+    return `${mediaGatewayUrl}/${txId}`;
 }
 
 function updateStatsDisplay() {
     const statsElement = document.getElementById('stats');
     if (statsElement) {
-        statsElement.textContent = `${blockCount} blocks (${formatBytes(dailyTotalSize)})`;
+        const missing = failedBlockCount > 0 ? `, ${failedBlockCount} missing` : '';
+        const truncated = truncatedBlockCount > 0 ? `, ${truncatedBlockCount} partial` : '';
+        const days = viewDays.size > 1 ? ` over ${viewDays.size} days` : '';
+        statsElement.textContent = sceneMode === 'towers'
+            ? `${towerItemIds.size} media items (${formatBytes(dailyTotalSize)})`
+            : `${blockCount} blocks${days} (${formatBytes(dailyTotalSize)}${missing}${truncated})`;
         statsElement.style.fontSize = '24px';
         statsElement.style.textAlign = 'center';
         statsElement.style.color = '#fff';
@@ -105,6 +147,38 @@ function updateStatsDisplay() {
     }
 }
 
+function isTodayUTC(date) {
+    return date.toISOString().slice(0, 10) === new Date().toISOString().slice(0, 10);
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.max(0, Math.round(seconds))}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+function updateLiveIndicator(status) {
+    const commsElement = document.getElementById('comms');
+    if (!commsElement) return;
+
+    if (!isLiveView) {
+        commsElement.classList.remove('live');
+        return;
+    }
+
+    commsElement.classList.add('live');
+    commsElement.style.color = '#4CAF50';
+    if (!status) {
+        commsElement.textContent = 'LIVE - catching up...';
+        return;
+    }
+
+    const sinceLastBlock = status.latestTimestamp ? formatDuration(Date.now() / 1000 - status.latestTimestamp) : '?';
+    commsElement.textContent = status.behind > 0
+        ? `LIVE - ${status.behind} blocks behind head #${status.headHeight}`
+        : `LIVE - at head #${status.headHeight}, last block ${sinceLastBlock} ago`;
+}
+
 function updateDateDisplay(date) {
     const dateElement = document.getElementById('date-display');
     if (dateElement && date) {
@@ -113,73 +187,1179 @@ function updateDateDisplay(date) {
     }
 }
 
-// ---- Animation Functions ----
-function startPulsingAnimation(mesh) {
-    if (!mesh || !mesh.scale) return;
-    const start = Date.now();
-    const duration = 1200;
-    const minScale = 1.0;
-    const maxScale = 1.06;
-    
-    function step() {
-        const t = (Date.now() - start) / duration;
-        if (t >= 1) {
-            mesh.scale.set(1, 1, 1);
-            return;
+function updateRangeDisplay(range) {
+    const dateElement = document.getElementById('date-display');
+    if (!dateElement || !range) return;
+    if (range.fromHeight !== undefined) {
+        dateElement.textContent = `Blocks ${range.fromHeight.toLocaleString()} - ${range.toHeight.toLocaleString()}`;
+        return;
+    }
+    const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC', hour12: false };
+    dateElement.textContent = `${range.start.toLocaleString('en-US', options)} - ${range.end.toLocaleString('en-US', options)} UTC`;
+}
+
+// ---- Scene Resources ----
+// Whatever leaves the monolith goes through disposeObject(), which frees the geometries,
+// materials and textures under it. Two kinds of texture are exempt: category symbols
+// (userData.isShared), used by the batches for the life of the page, and render-mode
+// images, which belong to the texture cache. The cache hands images out by transaction
+// id with a reference count and keeps the least recently used ones it no longer needs
+// until it holds more than TEXTURE_CACHE_BUDGET, so a block scrolling back into view does
+// not download its images again.
+const TEXTURE_CACHE_BUDGET = 128; // 256x256 render-mode images
+const RENDER_TEXTURE_SIZE = 256;
+const textureCache = new Map(); // tx id -> { promise, texture, refs }, least recently used first
+
+function disposeTexture(texture) {
+    if (texture.userData.isShared) return;
+    if (texture.userData.cacheKey) {
+        releaseCachedTexture(texture.userData.cacheKey);
+    } else {
+        texture.dispose();
+    }
+}
+
+function disposeMaterial(material) {
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture) disposeTexture(value);
+    });
+    Object.values(material.uniforms || {}).forEach(uniform => {
+        if (uniform.value && uniform.value.isTexture) disposeTexture(uniform.value);
+    });
+    material.dispose();
+}
+
+function disposeObject(object) {
+    object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) [].concat(child.material).forEach(disposeMaterial);
+        if (child.isInstancedMesh) child.dispose();
+    });
+}
+
+function loadImageTexture(txId) {
+    const imageLoader = new THREE.ImageLoader();
+    imageLoader.setCrossOrigin('');
+    return imageLoader.loadAsync(getTxDataUrl(txId)).then(image => {
+        const canvas = document.createElement('canvas');
+        canvas.width = RENDER_TEXTURE_SIZE;
+        canvas.height = RENDER_TEXTURE_SIZE;
+        canvas.getContext('2d').drawImage(image, 0, 0, RENDER_TEXTURE_SIZE, RENDER_TEXTURE_SIZE);
+        return new THREE.CanvasTexture(canvas);
+    });
+}
+
+// Resolves to a transaction's image texture, counted as in use until released.
+// Failed loads are dropped so a later request tries again.
+function acquireCachedTexture(txId) {
+    let entry = textureCache.get(txId);
+    if (entry) {
+        textureCache.delete(txId); // re-inserted below as the most recently used
+    } else {
+        entry = { promise: loadImageTexture(txId), texture: null, refs: 0 };
+        entry.promise.then(texture => {
+            texture.userData.cacheKey = txId;
+            entry.texture = texture;
+            trimTextureCache();
+        }, () => {
+            if (textureCache.get(txId) === entry) textureCache.delete(txId);
+        });
+    }
+    entry.refs++;
+    textureCache.set(txId, entry);
+    return entry.promise;
+}
+
+function releaseCachedTexture(txId) {
+    const entry = textureCache.get(txId);
+    if (!entry) return;
+    entry.refs = Math.max(0, entry.refs - 1);
+    trimTextureCache();
+}
+
+// Dispose unused textures, oldest first, until the cache is back within its budget
+function trimTextureCache() {
+    for (const [txId, entry] of textureCache) {
+        if (textureCache.size <= TEXTURE_CACHE_BUDGET) break;
+        if (entry.refs > 0 || !entry.texture) continue;
+        entry.texture.dispose();
+        textureCache.delete(txId);
+    }
+}
+
+// Toggled with the ` key: what the renderer holds on the GPU and drew last frame
+function updateRenderStats() {
+    const panel = document.getElementById('render-stats');
+    if (!panel || panel.style.display === 'none') return;
+    const { memory, render, programs } = renderer.info;
+    const inUse = [...textureCache.values()].filter(entry => entry.refs > 0).length;
+    panel.textContent = [
+        `Geometries: ${memory.geometries}`,
+        `Textures: ${memory.textures}`,
+        `Programs: ${programs ? programs.length : 0}`,
+        `Draw calls: ${render.calls}`,
+        `Triangles: ${render.triangles.toLocaleString()}`,
+        `Lines: ${render.lines.toLocaleString()}`,
+        `Image cache: ${textureCache.size}/${TEXTURE_CACHE_BUDGET} (${inUse} in use)`
+    ].join('\n');
+}
+
+function toggleRenderStats() {
+    const panel = document.getElementById('render-stats');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    updateRenderStats();
+}
+
+// ---- Block Batches ----
+// Blocks and tower items are not drawn as meshes of their own. Each one keeps an empty
+// THREE.Group in the monolith (position and userData) and owns slots in a few shared
+// batches: an InstancedMesh of unit cubes per cube material (plain colour or a category
+// symbol, at a given opacity) and one instanced LineSegments holding every outline and
+// bundle cluster. The group's slots live in userData.instance. The entrance growth, the
+// pulse after it and outline flashes run in the shaders from per-instance start times.
+const BATCH_INITIAL_CAPACITY = 1024;
+const batchTime = { value: 0 }; // seconds, shared uTime uniform of every batch shader
+const cubeBatches = {}; // material key -> { material, mesh, capacity, count, free }
+let outlineBatch = null; // { material, lines, capacity, count, free }
+const instanceMatrix = new THREE.Matrix4();
+const instanceColor = new THREE.Color();
+
+// easeOutBack growth over 0.5s, then one 1.2s pulse up to 106%
+const BLOCK_ENTRANCE_GLSL = `
+attribute vec2 instanceState; // x: entrance start (s), y: hover
+uniform float uTime;
+varying float vBlockHover;
+float blockEntranceScale(float start) {
+    float t = uTime - start;
+    if (t < 0.0) return 0.0;
+    if (t < 0.5) {
+        float p = t / 0.5 - 1.0;
+        return 1.0 + 2.70158 * p * p * p + 1.70158 * p * p;
+    }
+    float pulse = (t - 0.5) / 1.2;
+    if (pulse < 1.0) return 1.0 + 0.03 * (1.0 - cos(6.28318530718 * pulse));
+    return 1.0;
+}
+`;
+
+function patchBlockCubeShader(shader) {
+    shader.uniforms.uTime = batchTime;
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${BLOCK_ENTRANCE_GLSL}`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+    transformed *= blockEntranceScale(instanceState.x);
+    vBlockHover = instanceState.y;`);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nvarying float vBlockHover;')
+        .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+    totalEmissiveRadiance += vec3(0.091 * vBlockHover); // 0x555555 in linear`);
+}
+
+const blockOutlineShader = {
+    vertexShader: `
+        attribute vec4 instanceOffset; // xyz: centre, w: edge length (0 hides it)
+        attribute vec4 instanceLineColor; // rgb, a: resting opacity
+        attribute float instanceFlash; // flash start (s)
+        uniform float uTime;
+        varying vec4 vColor;
+        void main() {
+            float flash = 1.0 - clamp((uTime - instanceFlash) / 0.8, 0.0, 1.0);
+            vColor = vec4(instanceLineColor.rgb, mix(instanceLineColor.a, 1.0, flash));
+            if (instanceOffset.w == 0.0) {
+                gl_Position = vec4(2.0, 2.0, 2.0, 1.0); // outside the clip volume
+                return;
+            }
+            vec3 point = instanceOffset.xyz + position * instanceOffset.w;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(point, 1.0);
         }
-        const s = minScale + (maxScale - minScale) * 0.5 * (1 - Math.cos(2 * Math.PI * t));
-        mesh.scale.set(s, s, s);
-        requestAnimationFrame(step);
+    `,
+    fragmentShader: `
+        varying vec4 vColor;
+        void main() {
+            gl_FragColor = vColor;
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+function getBatchTime() {
+    return performance.now() / 1000;
+}
+
+// Take a free slot, growing the batch when it is full
+function allocateBatchSlot(batch, grow) {
+    if (batch.free.length > 0) return batch.free.pop();
+    if (batch.count === batch.capacity) grow(batch);
+    return batch.count++;
+}
+
+function getCubeBatch(symbol, opacity) {
+    const key = `${symbol || 'plain'}@${opacity}`;
+    if (!cubeBatches[key]) {
+        const material = symbol
+            ? new THREE.MeshPhongMaterial({ map: symbolTextures[symbol], transparent: true, opacity, depthWrite: false })
+            : new THREE.MeshPhongMaterial({ transparent: true, opacity, shininess: 20, depthWrite: false });
+        material.onBeforeCompile = patchBlockCubeShader;
+        cubeBatches[key] = { material, mesh: null, capacity: 0, count: 0, free: [] };
     }
-    
-    requestAnimationFrame(step);
+    return cubeBatches[key];
 }
 
-function flashOutline(outline) {
-    if (!outline || !outline.material) return;
-    
-    const originalOpacity = outline.material.opacity || 1.0;
-    const duration = 800;
-    const startTime = Date.now();
-    
-    function step() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        const opacity = originalOpacity + (1.0 - originalOpacity) * (1 - progress);
-        outline.material.opacity = opacity;
-        
-        if (progress < 1) {
-            requestAnimationFrame(step);
+// Instanced buffers cannot be resized, so a full batch is rebuilt at twice the size
+function growCubeBatch(batch) {
+    const capacity = Math.max(BATCH_INITIAL_CAPACITY, batch.capacity * 2);
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    geometry.setAttribute('instanceState', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 2), 2));
+    const mesh = new THREE.InstancedMesh(geometry, batch.material, capacity);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.frustumCulled = false;
+    mesh.raycast = () => {}; // picked through the block index instead
+    mesh.userData.isBlockBatch = true;
+
+    const previous = batch.mesh;
+    if (previous) {
+        mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+        mesh.instanceColor.array.set(previous.instanceColor.array);
+        geometry.attributes.instanceState.array.set(previous.geometry.attributes.instanceState.array);
+        monolith.remove(previous);
+        previous.geometry.dispose();
+        previous.dispose();
+    }
+    batch.mesh = mesh;
+    batch.capacity = capacity;
+    monolith.add(mesh);
+}
+
+function getOutlineBatch() {
+    if (!outlineBatch) {
+        outlineBatch = {
+            material: new THREE.ShaderMaterial({
+                uniforms: { uTime: batchTime },
+                vertexShader: blockOutlineShader.vertexShader,
+                fragmentShader: blockOutlineShader.fragmentShader,
+                transparent: true
+            }),
+            lines: null,
+            capacity: 0,
+            count: 0,
+            free: []
+        };
+    }
+    return outlineBatch;
+}
+
+function growOutlineBatch(batch) {
+    const capacity = Math.max(BATCH_INITIAL_CAPACITY, batch.capacity * 2);
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.setAttribute('position', new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)).getAttribute('position'));
+    geometry.setAttribute('instanceOffset', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4));
+    geometry.setAttribute('instanceLineColor', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4));
+    geometry.setAttribute('instanceFlash', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    const lines = new THREE.LineSegments(geometry, batch.material);
+    lines.frustumCulled = false;
+    lines.raycast = () => {};
+    lines.userData.isBlockBatch = true;
+
+    const previous = batch.lines;
+    if (previous) {
+        ['instanceOffset', 'instanceLineColor', 'instanceFlash'].forEach(name => {
+            geometry.attributes[name].array.set(previous.geometry.attributes[name].array);
+        });
+        monolith.remove(previous);
+        previous.geometry.dispose();
+    }
+    batch.lines = lines;
+    batch.capacity = capacity;
+    monolith.add(lines);
+}
+
+// Give a positioned block group its cube, outline and cluster instances.
+// options: { size, symbol, opacity, cubeColor, outlineColor, clusters, animate }
+// clusters: [{ offset: Vector3, size, bundleId }] drawn as faint white wireframes
+function addBlockInstance(group, options) {
+    const { size, symbol = null, opacity = 0.35, cubeColor, outlineColor, clusters = [], animate = false } = options;
+    const now = getBatchTime();
+    const cubeBatch = getCubeBatch(symbol, opacity);
+    const cube = { batch: cubeBatch, slot: allocateBatchSlot(cubeBatch, growCubeBatch) };
+    cubeBatch.mesh.count = cubeBatch.count;
+    const start = animate ? now + Math.random() * 0.2 : -1000;
+    cubeBatch.mesh.geometry.attributes.instanceState.setXY(cube.slot, start, 0);
+    cubeBatch.mesh.geometry.attributes.instanceState.needsUpdate = true;
+
+    const lines = getOutlineBatch();
+    const outlines = [{ offset: new THREE.Vector3(), size, color: new THREE.Color(outlineColor), alpha: 1.0 }]
+        .concat(clusters.map(cluster => ({ ...cluster, color: new THREE.Color(0xffffff), alpha: 0.6 })));
+    outlines.forEach(outline => {
+        outline.slot = allocateBatchSlot(lines, growOutlineBatch);
+        lines.lines.geometry.attributes.instanceFlash.setX(outline.slot, -1000);
+    });
+    lines.lines.geometry.instanceCount = lines.count;
+    lines.lines.geometry.attributes.instanceFlash.needsUpdate = true;
+
+    group.matrixAutoUpdate = false;
+    group.userData.size = size;
+    group.userData.instance = {
+        cube,
+        baseColor: new THREE.Color(symbol ? 0xffffff : cubeColor), // symbol textures carry their own colour
+        cubeColor: new THREE.Color(symbol ? 0xffffff : cubeColor),
+        outlines
+    };
+    syncBlockInstance(group);
+    monolith.add(group);
+}
+
+// Write a block's position, size, colours and visibility into its batch slots. The cube
+// is hidden while render mode shows the block's own image mesh; outlines and clusters
+// are hidden in render mode.
+function syncBlockInstance(group) {
+    const instance = group.userData.instance;
+    if (!instance) return;
+    group.updateMatrix();
+    updatePickIndex(group);
+
+    const { batch, slot } = instance.cube;
+    const size = group.visible && !group.userData.renderMesh ? group.userData.size : 0;
+    instanceMatrix.makeScale(size, size, size).setPosition(group.position);
+    batch.mesh.setMatrixAt(slot, instanceMatrix);
+    batch.mesh.setColorAt(slot, instance.cubeColor);
+    batch.mesh.instanceMatrix.needsUpdate = true;
+    batch.mesh.instanceColor.needsUpdate = true;
+
+    const attributes = outlineBatch.lines.geometry.attributes;
+    const showOutlines = group.visible && activeFilterType !== 'render';
+    instance.outlines.forEach(outline => {
+        const { x, y, z } = group.position;
+        attributes.instanceOffset.setXYZW(outline.slot, x + outline.offset.x, y + outline.offset.y, z + outline.offset.z,
+            showOutlines ? outline.size : 0);
+        attributes.instanceLineColor.setXYZW(outline.slot, outline.color.r, outline.color.g, outline.color.b, outline.alpha);
+    });
+    attributes.instanceOffset.needsUpdate = true;
+    attributes.instanceLineColor.needsUpdate = true;
+}
+
+function setBlockVisible(group, visible) {
+    group.visible = visible;
+    syncBlockInstance(group);
+}
+
+// colors: { cube, outline }; a null cube colour restores the block's own
+function setBlockColors(group, colors) {
+    const instance = group.userData.instance;
+    if (!instance) return;
+    if (colors.cube !== undefined) {
+        instance.cubeColor.copy(colors.cube === null ? instance.baseColor : instanceColor.set(colors.cube));
+    }
+    if (colors.outline !== undefined) instance.outlines[0].color.set(colors.outline);
+    syncBlockInstance(group);
+}
+
+function setBlockHover(group, isHovered) {
+    const instance = group.userData.instance;
+    if (!instance) return;
+    const state = instance.cube.batch.mesh.geometry.attributes.instanceState;
+    state.setY(instance.cube.slot, isHovered ? 1 : 0);
+    state.needsUpdate = true;
+}
+
+// Briefly raise the block's outline to full opacity
+function flashBlockOutline(group) {
+    const instance = group.userData.instance;
+    if (!instance) return;
+    const flash = outlineBatch.lines.geometry.attributes.instanceFlash;
+    flash.setX(instance.outlines[0].slot, getBatchTime());
+    flash.needsUpdate = true;
+}
+
+function removeBlockInstance(group) {
+    const instance = group.userData.instance;
+    if (!instance) return;
+    disposeRenderedBlock(group);
+    group.visible = false;
+    syncBlockInstance(group);
+    removeFromPickIndex(group);
+    instance.cube.batch.free.push(instance.cube.slot);
+    instance.outlines.forEach(outline => outlineBatch.free.push(outline.slot));
+    group.userData.instance = null;
+    if (hoveredBlock === group) hoveredBlock = null;
+    monolith.remove(group);
+    disposeObject(group); // anything still attached to the group itself
+}
+
+// Forget every batch; clearMonolith has already disposed them with the rest of the monolith
+function resetBlockBatches() {
+    Object.keys(cubeBatches).forEach(key => delete cubeBatches[key]);
+    outlineBatch = null;
+    pickCells.clear();
+}
+
+// ---- Block Picking ----
+// Blocks are bucketed by position into a coarse grid. Each cell keeps a box around its
+// members, so a ray only tests the blocks of the cells it passes through.
+const PICK_CELL_SIZE = 60;
+const pickCells = new Map(); // 'x,y,z' -> { box, groups }
+const pickBox = new THREE.Box3();
+const pickPoint = new THREE.Vector3();
+const pickRay = new THREE.Ray();
+const pickInverse = new THREE.Matrix4();
+
+// A block's box in monolith space
+function getBlockBox(group, target) {
+    const half = group.userData.size / 2;
+    target.min.set(group.position.x - half, group.position.y - half, group.position.z - half);
+    target.max.set(group.position.x + half, group.position.y + half, group.position.z + half);
+    return target;
+}
+
+function updatePickIndex(group) {
+    const key = ['x', 'y', 'z'].map(axis => Math.floor(group.position[axis] / PICK_CELL_SIZE)).join(',');
+    if (group.userData.pickCell !== key) {
+        removeFromPickIndex(group);
+        if (!pickCells.has(key)) pickCells.set(key, { box: new THREE.Box3(), groups: new Set() });
+        pickCells.get(key).groups.add(group);
+        group.userData.pickCell = key;
+    }
+    pickCells.get(key).box.union(getBlockBox(group, pickBox));
+}
+
+function rebuildPickIndex() {
+    pickCells.clear();
+    monolith.children.forEach(group => {
+        if (!group.userData.instance) return;
+        group.userData.pickCell = null;
+        updatePickIndex(group);
+    });
+}
+
+function removeFromPickIndex(group) {
+    const cell = pickCells.get(group.userData.pickCell);
+    if (cell) {
+        cell.groups.delete(group);
+        if (cell.groups.size === 0) pickCells.delete(group.userData.pickCell);
+    }
+    group.userData.pickCell = null;
+}
+
+// Nearest visible block under the raycaster's ray, or null
+function pickBlock() {
+    monolith.updateMatrixWorld();
+    pickRay.copy(raycaster.ray).applyMatrix4(pickInverse.copy(monolith.matrixWorld).invert());
+    let nearest = null;
+    let nearestDistance = Infinity;
+    pickCells.forEach(cell => {
+        if (!pickRay.intersectsBox(cell.box)) return;
+        cell.groups.forEach(group => {
+            if (!group.visible || !pickRay.intersectBox(getBlockBox(group, pickBox), pickPoint)) return;
+            const distance = pickPoint.distanceToSquared(pickRay.origin);
+            if (distance < nearestDistance) {
+                nearest = group;
+                nearestDistance = distance;
+            }
+        });
+    });
+    return nearest;
+}
+
+// World-space bounds of the monolith, using block boxes rather than the batches
+function getMonolithBounds() {
+    monolith.updateMatrixWorld();
+    const bounds = new THREE.Box3();
+    monolith.children.forEach(child => {
+        if (child.userData.isBlockBatch) return;
+        if (child.userData.instance) {
+            bounds.union(getBlockBox(child, pickBox).applyMatrix4(monolith.matrixWorld));
         } else {
-            outline.material.opacity = originalOpacity;
+            bounds.expandByObject(child);
         }
-    }
-    
-    requestAnimationFrame(step);
+    });
+    return bounds;
 }
 
 // ---- Block Management ----
 function clearMonolith() {
     if (monolith) {
         while (monolith.children.length > 0) {
-            monolith.remove(monolith.children[0]);
+            const child = monolith.children[0];
+            monolith.remove(child);
+            disposeObject(child);
+            if (child.userData.instance) {
+                // Detach the block, so a render-mode load still in flight for it finds it
+                // gone and disposes the materials it brings instead of drawing them
+                child.userData.instance = null;
+                child.userData.isRendered = false;
+                child.userData.renderMesh = null;
+            }
         }
     }
+    resetBlockBatches();
+    hoveredBlock = null;
+    clearTimeout(relayoutTimer);
+    relayoutTimer = null;
+    layoutTransition = null;
+    layoutState = {};
     blockCount = 0;
+    towerTypes.forEach(type => { towerItems[type] = []; });
+    towerItemIds.clear();
+    viewDays.clear();
+    lastBlockDay = null;
+    Object.keys(legendCounts).forEach(type => { legendCounts[type] = 0; });
+    updateLegendCounts();
+    selectedBlock = null;
+    isFocusedView = false;
+    failedBlockCount = 0;
+    truncatedBlockCount = 0;
     dailyTotalSize = 0;
 }
 
-function addNewBlock(blockData) {
+// Multi-day ranges in the helix layout get a coloured ring where each UTC day begins
+function markBlockDay(timestamp, position) {
+    if (!timestamp) return;
+    const day = new Date(timestamp * 1000).toISOString().slice(0, 10);
+    viewDays.add(day);
+    if (currentRange && day !== lastBlockDay && activeLayout === 'helix') {
+        addDayBand(position, dayBandColors[(viewDays.size - 1) % dayBandColors.length]);
+    }
+    lastBlockDay = day;
+    updateStatsDisplay();
+}
+
+function addDayBand(position, color) {
+    const radius = Math.hypot(position.x, position.z) + blockBaseSize;
+    const points = [];
+    for (let i = 0; i < 64; i++) {
+        const angle = (i / 64) * Math.PI * 2;
+        points.push(new THREE.Vector3(radius * Math.cos(angle), 0, radius * Math.sin(angle)));
+    }
+    const band = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 })
+    );
+    band.position.y = position.y;
+    band.userData.isDayBand = true;
+    addLayoutMarker(band);
+}
+
+// Position of the n-th block slot along the golden-angle helix
+function getSlotPosition(slotIndex) {
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    const spacing = 8;
+    const radius = spacing * Math.sqrt(slotIndex);
+    const angle = slotIndex * goldenAngle;
+    return new THREE.Vector3(
+        radius * Math.cos(angle),
+        startYOffset + slotIndex * verticalStep,
+        radius * Math.sin(angle)
+    );
+}
+
+// ---- Layouts ----
+// Where blocks sit is decided by the active layout. place(group, time) positions one block
+// as it streams in and returns null when it cannot (say, a block older than the ones
+// already laid out), in which case every block is rearranged shortly after. Layouts with
+// byTime are fed blocks oldest first when rearranging, others in slot order; arrange()
+// replaces per-block placement for layouts that depend on the whole set. Placeholders
+// have no timestamp and borrow the last known one. `view` is the direction the camera
+// looks from when fitting the layout. Tower views keep their own positions.
+const TIMELINE_UNITS_PER_SECOND = 0.1; // the average two minute block interval is 12 units
+const TIMELINE_MAX_GAP = 3600; // longer quiet spells (wallet and query views) shrink to an hour
+const LAYOUT_SPACING = 32; // between neighbouring blocks in the timeline and calendar
+const CALENDAR_ROWS = 40; // blocks per hour column before it runs into the next day
+const CALENDAR_DAY_WIDTH = 27 * LAYOUT_SPACING; // 24 hour columns and a gap
+const CALENDAR_DAY_DEPTH = (CALENDAR_ROWS + 3) * LAYOUT_SPACING;
+const LAYOUT_TRANSITION_MS = 900;
+const blockLayouts = {
+    helix: { label: 'HELIX', view: new THREE.Vector3(0, 0, 1), place: placeOnHelix, decorate: markHelixDays },
+    timeline: { label: 'TIMELINE', view: new THREE.Vector3(0, 0.5, 1), byTime: true, place: placeOnTimeline },
+    calendar: { label: 'CALENDAR', view: new THREE.Vector3(0, 1.2, 1), byTime: true, place: placeOnCalendar },
+    treemap: { label: 'TREEMAP', view: new THREE.Vector3(0, 1.5, 1), place: () => null, arrange: arrangeTreemap }
+};
+let activeLayout = 'helix';
+let layoutState = {}; // bookkeeping of the active layout, reset with every rearrangement
+let layoutTransition = null; // { start, moves: [{ group, from, to }], fitCamera }
+let relayoutTimer = null;
+
+// Position a new block under the active layout, or park it at the centre until the
+// rearrangement it asks for
+function placeBlock(group) {
+    if (group.userData.timestamp) layoutState.lastKnownTime = group.userData.timestamp;
+    const time = group.userData.timestamp || layoutState.lastKnownTime || 0;
+    const position = blockLayouts[activeLayout].place(group, time);
+    if (position) {
+        group.position.copy(position);
+        extendTimeAxis(time);
+    } else {
+        group.position.set(0, 0, 0);
+        scheduleRelayout();
+    }
+}
+
+function scheduleRelayout() {
+    if (relayoutTimer) return;
+    relayoutTimer = setTimeout(() => {
+        relayoutTimer = null;
+        arrangeBlocks();
+    }, 300);
+}
+
+// Lay every block out again under the active layout, gliding them to their new places
+function arrangeBlocks({ animate = true, fitCamera = false } = {}) {
+    clearTimeout(relayoutTimer);
+    relayoutTimer = null;
+    if (sceneMode === 'towers') return;
+
+    removeLayoutMarkers();
+    layoutState = {};
+    const groups = monolith.children
+        .filter(group => group.userData.instance)
+        .sort((a, b) => a.userData.slotIndex - b.userData.slotIndex);
+    const firstKnown = groups.find(group => group.userData.timestamp);
+    let lastKnownTime = firstKnown ? firstKnown.userData.timestamp : 0;
+    const times = new Map();
+    groups.forEach(group => {
+        if (group.userData.timestamp) lastKnownTime = group.userData.timestamp;
+        times.set(group, group.userData.timestamp || lastKnownTime);
+    });
+    layoutState.lastKnownTime = lastKnownTime;
+
+    const layout = blockLayouts[activeLayout];
+    let targets;
+    if (layout.arrange) {
+        targets = layout.arrange(groups);
+    } else {
+        targets = new Map();
+        const ordered = layout.byTime
+            ? [...groups].sort((a, b) => times.get(a) - times.get(b) || a.userData.slotIndex - b.userData.slotIndex)
+            : groups;
+        ordered.forEach(group => targets.set(group, layout.place(group, times.get(group)) || group.position.clone()));
+    }
+    if (layout.decorate) layout.decorate(groups);
+    const span = [...times.values()].reduce((acc, time) => time
+        ? { earliest: Math.min(acc.earliest, time), latest: Math.max(acc.latest, time) }
+        : acc, { earliest: Infinity, latest: -Infinity });
+    if (usesTimeSpacing() && span.latest >= span.earliest) {
+        layoutState.axisStep = chooseAxisStep(span.latest - span.earliest);
+        extendTimeAxis(span.earliest);
+        extendTimeAxis(span.latest);
+    }
+
+    const moves = [];
+    targets.forEach((to, group) => {
+        if (!group.position.equals(to)) moves.push({ group, from: group.position.clone(), to });
+    });
+    layoutTransition = { start: performance.now(), moves, fitCamera };
+    if (!animate) finishLayoutTransition();
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Advanced from the animate loop
+function stepLayoutTransition() {
+    if (!layoutTransition) return;
+    const progress = Math.min(1, (performance.now() - layoutTransition.start) / LAYOUT_TRANSITION_MS);
+    if (progress === 1) {
+        finishLayoutTransition();
+        return;
+    }
+    const eased = easeInOutCubic(progress);
+    layoutTransition.moves.forEach(({ group, from, to }) => {
+        if (!group.userData.instance) return; // removed meanwhile
+        group.position.lerpVectors(from, to, eased);
+        syncBlockInstance(group);
+    });
+}
+
+function finishLayoutTransition() {
+    const transition = layoutTransition;
+    layoutTransition = null;
+    transition.moves.forEach(({ group, to }) => {
+        if (!group.userData.instance) return;
+        group.position.copy(to);
+        syncBlockInstance(group);
+    });
+    // Cells only grow while blocks move through them
+    rebuildPickIndex();
+    if (transition.fitCamera) {
+        fitCameraToMonolith();
+        cameraMoved = false;
+    }
+}
+
+function setBlockLayout(name) {
+    if (!blockLayouts[name] || name === activeLayout) return;
+    activeLayout = name;
+    updateLayoutControl();
+    arrangeBlocks({ fitCamera: true });
+    updateViewUrl();
+}
+
+function cycleBlockLayout() {
+    const names = Object.keys(blockLayouts);
+    setBlockLayout(names[(names.indexOf(activeLayout) + 1) % names.length]);
+}
+
+function updateLayoutControl() {
+    const button = document.getElementById('layout-view');
+    if (button) {
+        button.textContent = blockLayouts[activeLayout].label;
+        button.style.display = sceneMode === 'towers' ? 'none' : '';
+    }
+    // Time spacing only means something where position follows time
+    const spacingButton = document.getElementById('time-spacing');
+    if (spacingButton) {
+        spacingButton.classList.toggle('active', timeSpacing);
+        spacingButton.style.display = sceneMode === 'towers' || sceneMode === 'wallet' || !timeAxes[activeLayout] ? 'none' : '';
+    }
+}
+
+// Day bands, calendar days and treemap regions: drawn by the layout, never picked
+function addLayoutMarker(object) {
+    object.userData.isLayoutMarker = true;
+    object.raycast = () => {};
+    monolith.add(object);
+}
+
+function removeLayoutMarkers() {
+    monolith.children.filter(child => child.userData.isLayoutMarker).forEach(marker => {
+        monolith.remove(marker);
+        disposeObject(marker);
+    });
+}
+
+// A flat rectangle under the blocks
+function addLayoutFrame(x, z, width, depth, color) {
+    const y = -blockBaseSize;
+    const frame = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(x, y, z),
+            new THREE.Vector3(x + width, y, z),
+            new THREE.Vector3(x + width, y, z + depth),
+            new THREE.Vector3(x, y, z + depth)
+        ]),
+        new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.5 })
+    );
+    addLayoutMarker(frame);
+}
+
+// Redraw the helix day bands of a range after a rearrangement (markBlockDay adds them as
+// blocks stream in)
+function markHelixDays(groups) {
+    if (!currentRange) return;
+    let lastDay = null;
+    let days = 0;
+    groups.forEach(group => {
+        if (!group.userData.timestamp) return;
+        const day = new Date(group.userData.timestamp * 1000).toISOString().slice(0, 10);
+        if (day !== lastDay) addDayBand(group.position, dayBandColors[days++ % dayBandColors.length]);
+        lastDay = day;
+    });
+}
+
+// The golden-angle spiral; with time spacing the height comes from the timestamp
+function placeOnHelix(group, time) {
+    const position = getSlotPosition(group.userData.slotIndex);
+    if (usesTimeSpacing()) {
+        if (layoutState.helixStart === undefined) layoutState.helixStart = time;
+        position.y = startYOffset + (time - layoutState.helixStart) * HELIX_UNITS_PER_SECOND;
+    }
+    return position;
+}
+
+// Along the x axis at real time spacing, in three lanes so close blocks do not overlap
+function placeOnTimeline(group, time) {
+    const state = layoutState;
+    if (state.timelineTime === undefined) {
+        state.timelineOrigin = time;
+        state.timelineTime = time;
+        state.timelineX = 0;
+        state.timelineCount = 0;
+    }
+    if (time < state.timelineTime) return null;
+    const gap = time - state.timelineTime;
+    state.timelineX += (usesTimeSpacing() ? gap : Math.min(gap, TIMELINE_MAX_GAP)) * TIMELINE_UNITS_PER_SECOND;
+    state.timelineTime = time;
+    const lane = (state.timelineCount++ % 3) - 1;
+    return new THREE.Vector3(state.timelineX, 0, lane * LAYOUT_SPACING);
+}
+
+// One cell per UTC day, weeks as rows from Monday to Sunday. Inside a day each hour is a
+// column filled front to back in arrival order.
+function placeOnCalendar(group, time) {
+    const state = layoutState;
+    const dayStart = Math.floor(time / 86400) * 86400;
+    const weekday = (new Date(dayStart * 1000).getUTCDay() + 6) % 7;
+    if (state.calendarStart === undefined) {
+        state.calendarStart = dayStart - weekday * 86400;
+        state.calendarCounts = {};
+        state.calendarDays = new Set();
+    }
+    if (dayStart < state.calendarStart) return null;
+
+    const week = Math.floor((dayStart - state.calendarStart) / (7 * 86400));
+    const dayX = (weekday - 3.5) * CALENDAR_DAY_WIDTH;
+    const dayZ = week * CALENDAR_DAY_DEPTH;
+    if (!state.calendarDays.has(dayStart)) {
+        state.calendarDays.add(dayStart);
+        addLayoutFrame(dayX, dayZ, 24 * LAYOUT_SPACING, CALENDAR_ROWS * LAYOUT_SPACING,
+            dayBandColors[(state.calendarDays.size - 1) % dayBandColors.length]);
+    }
+    const hour = Math.floor((time - dayStart) / 3600);
+    const key = `${dayStart}:${hour}`;
+    const row = state.calendarCounts[key] || 0;
+    state.calendarCounts[key] = row + 1;
+    return new THREE.Vector3(dayX + (hour + 0.5) * LAYOUT_SPACING, 0, dayZ + (row + 0.5) * LAYOUT_SPACING);
+}
+
+// The content type holding most of a block's bytes
+function getBlockPrimaryType(group) {
+    if (!group.userData.primaryType) {
+        const bytes = {};
+        (group.userData.transactions || []).forEach(tx => {
+            const type = getTransactionContentType(tx);
+            bytes[type] = (bytes[type] || 0) + (parseInt(tx.data_size || '0', 10) || 0);
+        });
+        const types = Object.keys(bytes);
+        group.userData.primaryType = types.length > 0 ? types.reduce((a, b) => (bytes[b] > bytes[a] ? b : a)) : 'other';
+    }
+    return group.userData.primaryType;
+}
+
+// A square split into one region per content type, each sized by the bytes of the blocks
+// whose data is mostly of that type, with the blocks in a grid inside it
+function arrangeTreemap(groups) {
+    const regions = {};
+    groups.forEach(group => {
+        const type = getBlockPrimaryType(group);
+        if (!regions[type]) regions[type] = { type, bytes: 0, groups: [] };
+        regions[type].bytes += group.userData.totalSize || 0;
+        regions[type].groups.push(group);
+    });
+    const list = Object.values(regions).sort((a, b) => b.bytes - a.bytes);
+    const footprint = groups.reduce((sum, group) => sum + Math.pow(group.userData.size * 1.5, 2), 0);
+    const side = Math.sqrt(footprint);
+    const targets = new Map();
+    if (list.length === 0) return targets;
+    splitTreemap(list, -side / 2, -side / 2, side, side);
+
+    list.forEach(region => {
+        const { x, z, width, depth } = region.rect;
+        const style = contentTypeDataStyles[region.type] || contentTypeDataStyles.other;
+        addLayoutFrame(x, z, width, depth, style.outlineColor);
+        const count = region.groups.length;
+        const columns = Math.max(1, Math.round(Math.sqrt(count * width / depth)));
+        const rows = Math.ceil(count / columns);
+        region.groups.forEach((group, i) => {
+            targets.set(group, new THREE.Vector3(
+                x + ((i % columns) + 0.5) * (width / columns),
+                0,
+                z + (Math.floor(i / columns) + 0.5) * (depth / rows)
+            ));
+        });
+    });
+    return targets;
+}
+
+// Halve the regions by weight and split the rectangle across its longer side
+function splitTreemap(regions, x, z, width, depth) {
+    if (regions.length === 1) {
+        regions[0].rect = { x, z, width, depth };
+        return;
+    }
+    const weight = region => Math.max(region.bytes, 1);
+    const total = regions.reduce((sum, region) => sum + weight(region), 0);
+    let count = 1;
+    let share = weight(regions[0]);
+    while (count < regions.length - 1 && share + weight(regions[count]) <= total / 2) {
+        share += weight(regions[count++]);
+    }
+    const fraction = share / total;
+    if (width >= depth) {
+        splitTreemap(regions.slice(0, count), x, z, width * fraction, depth);
+        splitTreemap(regions.slice(count), x + width * fraction, z, width * (1 - fraction), depth);
+    } else {
+        splitTreemap(regions.slice(0, count), x, z, width, depth * fraction);
+        splitTreemap(regions.slice(count), x, z + depth * fraction, width, depth * (1 - fraction));
+    }
+}
+
+// ---- Time Spacing ----
+// With time spacing on, the helix rises and the timeline runs in proportion to block
+// timestamps (the timeline no longer shortens long gaps), so bursts and quiet spells show
+// as crowding and empty stretches. A UTC time axis runs alongside: up the helix core, or
+// under the timeline's lanes. Its step is picked from the expected span and coarsened by a
+// rearrangement when the blocks outgrow it.
+const HELIX_UNITS_PER_SECOND = verticalStep / 120; // one verticalStep per average block interval
+const AXIS_STEPS = [3600, 3 * 3600, 6 * 3600, 12 * 3600, 86400, 7 * 86400, 28 * 86400];
+const AXIS_MAX_TICKS = 48;
+const timeAxes = {
+    helix: {
+        point: time => layoutState.helixStart === undefined ? null
+            : new THREE.Vector3(0, startYOffset + (time - layoutState.helixStart) * HELIX_UNITS_PER_SECOND, 0),
+        tick: new THREE.Vector3(10, 0, 0)
+    },
+    timeline: {
+        point: time => layoutState.timelineOrigin === undefined ? null
+            : new THREE.Vector3((time - layoutState.timelineOrigin) * TIMELINE_UNITS_PER_SECOND, -blockBaseSize, -2 * LAYOUT_SPACING),
+        tick: new THREE.Vector3(0, 0, -10)
+    }
+};
+let timeSpacing = false;
+
+function setTimeSpacing(enabled) {
+    if (timeSpacing === enabled) return;
+    timeSpacing = enabled;
+    updateLayoutControl();
+    arrangeBlocks({ fitCamera: true });
+    updateViewUrl();
+}
+
+// A wallet's blocks can span years, far too long to lay out in proportion to time, so
+// the setting sits out wallet views and applies again to the next day or range
+function usesTimeSpacing() {
+    return timeSpacing && sceneMode !== 'towers' && sceneMode !== 'wallet';
+}
+
+// A first guess at how much time the view covers, before its blocks arrive
+function estimateViewSpan() {
+    if (currentRange && currentRange.start) return (currentRange.end - currentRange.start) / 1000;
+    if (currentRange && currentRange.fromHeight !== undefined) return (currentRange.toHeight - currentRange.fromHeight + 1) * 120;
+    return 86400;
+}
+
+function chooseAxisStep(span) {
+    return AXIS_STEPS.find(step => span / step <= AXIS_MAX_TICKS) || AXIS_STEPS[AXIS_STEPS.length - 1];
+}
+
+function formatAxisTime(time, step) {
+    const iso = new Date(time * 1000).toISOString();
+    if (step >= 86400) return iso.slice(0, 10);
+    return time % 86400 === 0 ? `${iso.slice(0, 10)} 00:00 UTC` : iso.slice(11, 16);
+}
+
+function createAxisLabel(text) {
+    const fontSize = 40;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = `${fontSize}px VT323, monospace`;
+    canvas.width = Math.ceil(context.measureText(text).width) + 8;
+    canvas.height = fontSize + 8;
+    context.font = `${fontSize}px VT323, monospace`;
+    context.fillStyle = '#cccccc';
+    context.textBaseline = 'middle';
+    context.fillText(text, 4, canvas.height / 2);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true }));
+    const height = 8;
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.center.set(0, 0.5);
+    return sprite;
+}
+
+// One tick: its mark, its label and the stretch of axis to the neighbouring tick
+function addAxisTick(axis, time, neighbourTime, step) {
+    const point = axis.point(time);
+    const neighbour = axis.point(neighbourTime);
+    if (!point || !neighbour) return;
+    const marker = new THREE.Group();
+    marker.add(new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints([point, neighbour, point, point.clone().add(axis.tick)]),
+        new THREE.LineBasicMaterial({ color: 0xcccccc, transparent: true, opacity: 0.6 })
+    ));
+    const label = createAxisLabel(formatAxisTime(time, step));
+    label.position.copy(point).addScaledVector(axis.tick, 1.5);
+    marker.add(label);
+    addLayoutMarker(marker);
+}
+
+// Make sure the axis reaches the ticks either side of a block's time
+function extendTimeAxis(time) {
+    const axis = timeAxes[activeLayout];
+    if (!usesTimeSpacing() || !axis || !time) return;
+    const state = layoutState;
+    if (!state.axisStep) state.axisStep = chooseAxisStep(estimateViewSpan());
+    const step = state.axisStep;
+    const from = Math.floor(time / step) * step;
+    // Outgrowing the step: leave the ticks to the rearrangement, which picks a coarser one
+    // from the blocks' real span, rather than laying thousands of them at this one. The
+    // slack covers the part steps at either end of a span chooseAxisStep allowed.
+    const axisFrom = state.axisFrom === undefined ? from : Math.min(state.axisFrom, from);
+    const axisTo = state.axisTo === undefined ? from + step : Math.max(state.axisTo, from + step);
+    if ((axisTo - axisFrom) / step > AXIS_MAX_TICKS + 2 && step < AXIS_STEPS[AXIS_STEPS.length - 1]) {
+        scheduleRelayout();
+        return;
+    }
+    if (state.axisFrom === undefined) {
+        state.axisFrom = from;
+        state.axisTo = from;
+        addAxisTick(axis, from, from, step);
+    }
+    while (state.axisFrom > from) {
+        state.axisFrom -= step;
+        addAxisTick(axis, state.axisFrom, state.axisFrom + step, step);
+    }
+    while (state.axisTo < from + step) {
+        state.axisTo += step;
+        addAxisTick(axis, state.axisTo, state.axisTo - step, step);
+    }
+}
+
+// Seconds since the previous block: the neighbour on screen, else what the server's
+// height index knew
+function getBlockInterval(group) {
+    const timestamp = group.userData.timestamp;
+    const previous = findBlockGroup(group.userData.blockHeight - 1);
+    const previousTimestamp = (previous && previous.userData.timestamp) || (group.userData.header || {}).previousTimestamp;
+    return timestamp && previousTimestamp ? Math.max(0, timestamp - previousTimestamp) : null;
+}
+
+function showBlockTooltip(group, event) {
+    if (!tooltip) tooltip = document.getElementById('block-tooltip');
+    if (!tooltip) return;
+    const data = group.userData;
+    const lines = [];
+    if (data.isTowerItem) {
+        lines.push(contentTypeDataStyles[data.towerType].name);
+    } else {
+        lines.push(`Block ${data.blockHeight.toLocaleString()}${data.isPlaceholder ? ' (unavailable)' : ''}`);
+    }
+    if (data.timestamp) lines.push(`${new Date(data.timestamp * 1000).toISOString().slice(0, 19).replace('T', ' ')} UTC`);
+    const interval = data.isTowerItem ? null : getBlockInterval(group);
+    if (interval !== null) lines.push(`${formatDuration(interval)} after block ${(data.blockHeight - 1).toLocaleString()}`);
+    tooltip.textContent = lines.join('\n');
+    tooltip.style.left = `${event.clientX + 14}px`;
+    tooltip.style.top = `${event.clientY + 14}px`;
+    tooltip.style.display = 'block';
+}
+
+function hideBlockTooltip() {
+    if (tooltip) tooltip.style.display = 'none';
+}
+
+function findPlaceholderBlock(height) {
+    if (!monolith) return null;
+    return monolith.children.find(group => group.userData.isPlaceholder && group.userData.blockHeight === height) || null;
+}
+
+// A block the server gave up on: a hollow red cube holding its slot in the helix.
+// Clicking it asks the server to fetch the block again.
+function addFailedBlock(failure) {
+    if (!failure) return;
+
+    const existing = findPlaceholderBlock(failure.height);
+    if (existing) {
+        existing.userData.retrying = false;
+        existing.userData.reason = failure.reason;
+        setBlockColors(existing, { outline: 0xff4444 });
+        return;
+    }
+
+    const blockGroup = new THREE.Group();
+    blockGroup.userData.blockHeight = failure.height;
+    blockGroup.userData.isPlaceholder = true;
+    blockGroup.userData.reason = failure.reason;
+    blockGroup.userData.slotIndex = blockCount;
+    blockGroup.userData.totalSize = 0;
+    blockGroup.userData.transactions = [];
+    blockGroup.userData.contentTypes = [];
+    blockGroup.userData.dominantType = 'other';
+    blockGroup.userData.originalColor = 0x331111;
+    blockGroup.userData.originalOutline = 0xff4444;
+    placeBlock(blockGroup);
+    blockGroup.visible = passesSceneFilter(blockGroup);
+    addBlockInstance(blockGroup, {
+        size: blockBaseSize * 0.6,
+        opacity: 0.15,
+        cubeColor: blockGroup.userData.originalColor,
+        outlineColor: blockGroup.userData.originalOutline
+    });
+
+    blockCount++;
+    failedBlockCount++;
+    updateStatsDisplay();
+    console.warn(`Block ${failure.height} unavailable: ${failure.reason}`);
+}
+
+function retryFailedBlock(blockGroup) {
+    if (!blockGroup.userData.isPlaceholder || blockGroup.userData.retrying) return;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    blockGroup.userData.retrying = true;
+    setBlockColors(blockGroup, { outline: 0xffaa00 });
+    const requestId = sendMessage({ type: 'retry_block', height: blockGroup.userData.blockHeight });
+    if (requestId !== null) currentViewRequestIds.add(requestId);
+}
+
+// Replace a missing-block placeholder once its data arrives, keeping its helix slot
+function resolvePlaceholderBlock(placeholder, blockData) {
+    const slotIndex = placeholder.userData.slotIndex;
+    // Frees the placeholder's batch slots and disposes whatever the group still holds
+    removeBlockInstance(placeholder);
+    failedBlockCount--;
+    addNewBlock(blockData, slotIndex);
+}
+
+// Group a block's transactions into ANS-104 bundles: the bundle transaction itself (if it
+// was mined in this block) plus the data items that name it in bundledIn.
+function getBlockBundles(transactions) {
+    const bundles = new Map();
+    const getBundle = (id) => {
+        if (!bundles.has(id)) bundles.set(id, { id, tx: null, items: [], itemBytes: 0 });
+        return bundles.get(id);
+    };
+    transactions.forEach(tx => {
+        if (tx.isBundle) getBundle(tx.id).tx = tx;
+        if (tx.bundledIn) {
+            const bundle = getBundle(tx.bundledIn);
+            bundle.items.push(tx);
+            bundle.itemBytes += parseInt(tx.data_size || '0', 10) || 0;
+        }
+    });
+    return [...bundles.values()].sort((a, b) => b.items.length - a.items.length);
+}
+
+// Nested wireframe cubes inside a block, one per bundle (largest first, up to eight
+// octants), sized by the bundle's share of the block's data items.
+function getBundleClusters(bundles, cubeSize) {
+    const maxClusters = 8;
+    const totalItems = bundles.reduce((sum, b) => sum + b.items.length, 0) || 1;
+    const offset = cubeSize / 4;
+    return bundles.slice(0, maxClusters).map((bundle, i) => {
+        const share = Math.sqrt(Math.max(bundle.items.length, 1) / totalItems);
+        return {
+            bundleId: bundle.id,
+            size: cubeSize * Math.min(0.45, Math.max(0.15, 0.45 * share)),
+            offset: new THREE.Vector3(
+                (i & 1 ? 1 : -1) * offset,
+                (i & 2 ? 1 : -1) * offset,
+                (i & 4 ? 1 : -1) * offset
+            )
+        };
+    });
+}
+
+function addNewBlock(blockData, slotIndex = blockCount) {
     if (!blockData) return;
     
     console.log('Adding new block:', blockData.height);
+    const isNewSlot = slotIndex === blockCount;
     
     const { transactions, height, block_size } = blockData;
     
     const blockGroup = new THREE.Group();
     blockGroup.userData.blockHeight = height;
     blockGroup.userData.timestamp = blockData.timestamp;
+    blockGroup.userData.slotIndex = slotIndex;
+    // Header fields for the block panel; wallet and query views only carry the timestamp
+    blockGroup.userData.header = {
+        indep_hash: blockData.indep_hash,
+        previous_block: blockData.previous_block,
+        reward_addr: blockData.reward_addr,
+        rewardAr: blockData.rewardAr, // converted from winston by the server
+        weave_size: blockData.weave_size,
+        block_size: blockData.block_size,
+        diff: blockData.diff,
+        tx_root: blockData.tx_root,
+        previousTimestamp: blockData.previousTimestamp
+    };
     
     let blockTotalSize = parseInt(block_size || '0', 10);
     if (blockTotalSize === 0 && transactions && transactions.length > 0) {
@@ -188,6 +1368,8 @@ function addNewBlock(blockData) {
     
     blockGroup.userData.totalSize = blockTotalSize;
     blockGroup.userData.transactions = transactions || [];
+    blockGroup.userData.truncated = !!blockData.truncated;
+    if (blockGroup.userData.truncated) truncatedBlockCount++;
     
     dailyTotalSize += blockTotalSize;
     updateStatsDisplay();
@@ -197,17 +1379,6 @@ function addNewBlock(blockData) {
     const sizeMultiplier = Math.min(2.0, Math.max(0.5, 1 + Math.log10(Math.max(1, blockTotalSize / 1000000))));
     const cubeSize = baseCubeSize * sizeMultiplier;
 
-    // Position blocks in helix
-    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
-    const spacing = 8;
-    const radius = spacing * Math.sqrt(blockCount);
-    const angle = blockCount * goldenAngle;
-    const x = radius * Math.cos(angle);
-    const z = radius * Math.sin(angle);
-    const y = startYOffset + blockCount * verticalStep;
-    
-    blockGroup.position.set(x, y, z);
-    
     // Determine content type mix
     const contentTypeCounts = {};
     transactions.forEach(tx => {
@@ -226,122 +1397,485 @@ function addNewBlock(blockData) {
     blockGroup.userData.originalColor = style.cubeColor;
     blockGroup.userData.originalOutline = style.outlineColor;
     
-    // Create block mesh
-    const cubeGeometry = new THREE.BoxGeometry(cubeSize, cubeSize, cubeSize);
-    let material;
-    const opacity = 0.35; // Increased slightly for better visibility of symbols
-    if (isHomogenous && dominantType === 'audio') {
-        material = new THREE.MeshPhongMaterial({ map: audioSymbolTexture, transparent: true, opacity });
-    } else if (isHomogenous && dominantType === 'video') {
-        material = new THREE.MeshPhongMaterial({ map: videoSymbolTexture, transparent: true, opacity });
-    } else {
-        material = new THREE.MeshPhongMaterial({
-            color: style.cubeColor,
-            transparent: true,
-            opacity,
-            shininess: 20
-        });
+    const bundles = getBlockBundles(transactions);
+    blockGroup.userData.bundles = bundles;
+
+    placeBlock(blockGroup);
+
+    // Filter first so the instance is written with its final visibility
+    addToLegendCounts(countMatchingTransactions(blockGroup));
+    blockGroup.visible = passesSceneFilter(blockGroup);
+    const brightOutline = new THREE.Color(style.outlineColor).lerp(new THREE.Color(0xffffff), 0.4);
+    addBlockInstance(blockGroup, {
+        size: cubeSize,
+        symbol: isHomogenous && symbolTextures[dominantType] ? dominantType : null,
+        opacity: 0.35, // Increased slightly for better visibility of symbols
+        cubeColor: style.cubeColor,
+        outlineColor: brightOutline,
+        clusters: getBundleClusters(bundles, cubeSize),
+        animate: true
+    });
+    flashBlockOutline(blockGroup);
+
+    if (isNewSlot) {
+        blockCount++;
+        markBlockDay(blockData.timestamp, blockGroup.position);
     }
-    const cube = new THREE.Mesh(cubeGeometry, material);
-    
-    const edges = new THREE.EdgesGeometry(cubeGeometry);
-    const baseCol = new THREE.Color(style.outlineColor);
-    const brightCol = baseCol.clone().lerp(new THREE.Color(0xffffff), 0.4);
-    const lineMaterial = new THREE.LineBasicMaterial({ color: brightCol, transparent: true, opacity: 1.0 });
-    const outline = new THREE.LineSegments(edges, lineMaterial);
-    blockGroup.add(cube);
-    blockGroup.add(outline);
-    
-    cube.userData.transactionCount = transactions.length;
-    cube.userData.dominantType = dominantType;
-    cube.userData.transactions = transactions;
-    cube.userData.blockHeight = height;
-    
-    // Animate block entrance
-    const animateBlockEntrance = () => {
-        const duration = 500;
-        const startTime = Date.now();
-        
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            const easeOutBack = (t) => {
-                const c1 = 1.70158;
-                const c3 = c1 + 1;
-                return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-            };
-            
-            const scale = easeOutBack(progress) * 1.0;
-            cube.scale.set(scale, scale, scale);
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                startPulsingAnimation(cube);
-            }
-        };
-        
-        animate();
-    };
-    
-    setTimeout(animateBlockEntrance, Math.random() * 200);
-    flashOutline(outline);
-    
-    monolith.add(blockGroup);
-    blockCount++;
 
     // Adjust camera on the first block and every 50 blocks thereafter
-    if (blockCount === 1 || blockCount % 50 === 0) {
+    if (isNewSlot && !isFocusedView && (blockCount === 1 || blockCount % 50 === 0)) {
         fitCameraToMonolith();
     }
-    
-    // Apply active filter to the new block
-    if (activeFilterType) {
-        if (activeFilterType === 'render') {
-            const hasImages = blockGroup.userData.contentTypes.includes('image');
-            if (!hasImages) {
-                blockGroup.visible = false;
-            }
-            // The animate loop will handle applying the render mode to visible blocks.
-        } else {
-            const hasType = blockGroup.userData.contentTypes.includes(activeFilterType);
-            if (hasType) {
-                const style = contentTypeDataStyles[activeFilterType];
-                cube.material.color.set(style.cubeColor);
-                outline.material.color.set(style.outlineColor);
-            } else {
-                blockGroup.visible = false;
-            }
-        }
+
+    // Type filters recolour the blocks they keep; the animate loop handles render mode
+    if (activeFilterType && activeFilterType !== 'render' && blockGroup.visible) {
+        const filterStyle = contentTypeDataStyles[activeFilterType];
+        setBlockColors(blockGroup, { cube: filterStyle.cubeColor, outline: filterStyle.outlineColor });
     }
 
     console.log('Block added successfully. Total blocks:', blockCount);
 }
 
+// ---- Media Towers ----
+// Each media item is a small single-transaction block group, so filters, render mode and
+// hover treat tower items like day blocks. Buckets arrive whole on every towers_partial;
+// only items not seen before are added.
+function updateTowers(buckets) {
+    if (!buckets) return;
+    const hadItems = towerItemIds.size > 0;
+    towerTypes.forEach(type => {
+        (buckets[type] || []).forEach(item => {
+            if (!item || towerItemIds.has(item.id)) return;
+            towerItemIds.add(item.id);
+            addTowerItem(type, item);
+        });
+    });
+    updateStatsDisplay();
+    if (!hadItems && towerItemIds.size > 0) fitCameraToMonolith();
+}
+
+function getTowerItemPosition(type, index) {
+    const perFloor = towerFootprint * towerFootprint;
+    const floor = Math.floor(index / perFloor);
+    const cell = index % perFloor;
+    const centreOffset = (towerFootprint - 1) / 2;
+    const pitch = towerItemSize + 1;
+    return new THREE.Vector3(
+        (towerTypes.indexOf(type) - 1) * towerSpacing + ((cell % towerFootprint) - centreOffset) * pitch,
+        startYOffset + floor * towerFloorHeight,
+        (Math.floor(cell / towerFootprint) - centreOffset) * pitch
+    );
+}
+
+function addTowerItem(type, item) {
+    const tx = { id: item.id, data_size: item.data_size, tags: item.tags || {} };
+    const index = towerItems[type].length;
+    towerItems[type].push(tx);
+
+    const size = parseInt(item.data_size || '0', 10) || 0;
+    dailyTotalSize += size;
+
+    const style = contentTypeDataStyles[type];
+    const group = new THREE.Group();
+    group.position.copy(getTowerItemPosition(type, index));
+    Object.assign(group.userData, {
+        isTowerItem: true,
+        towerType: type,
+        towerIndex: index,
+        blockHeight: item.height,
+        timestamp: item.timestamp,
+        totalSize: size,
+        transactions: [tx],
+        contentTypes: [type],
+        dominantType: type,
+        originalColor: style.cubeColor,
+        originalOutline: style.outlineColor
+    });
+
+    addToLegendCounts(countMatchingTransactions(group));
+    group.visible = passesSceneFilter(group);
+    addBlockInstance(group, {
+        size: towerItemSize,
+        symbol: symbolTextures[type] ? type : null,
+        cubeColor: style.cubeColor,
+        outlineColor: style.outlineColor
+    });
+    flashBlockOutline(group);
+}
+
+function requestTowers() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        console.error('WebSocket not ready');
+        return;
+    }
+    sceneMode = 'towers';
+    currentRange = null;
+    clearMonolith();
+    updateWalletSummary();
+    updateStatsDisplay();
+    updateSceneModeControls();
+    isLiveView = false;
+    updateLiveIndicator(null);
+    const dateElement = document.getElementById('date-display');
+    if (dateElement) dateElement.textContent = 'Recent Media';
+
+    currentViewRequestIds.clear();
+    const requestId = sendMessage({
+        type: 'get_towers_quick',
+        perTypeLimit: towerPerTypeLimit,
+        blockScanLimit: towerBlockScanLimit
+    });
+    if (requestId !== null) currentViewRequestIds.add(requestId);
+    selectedTxId = null;
+    cameraMoved = false;
+    updateViewUrl(true);
+}
+
+// Preview a tower item, paging through the rest of its tower
+function openTowerPreview(group) {
+    currentPreviewableTxs = towerItems[group.userData.towerType] || [];
+    if (currentPreviewableTxs.length === 0) return;
+    currentTxIndex = Math.min(group.userData.towerIndex, currentPreviewableTxs.length - 1);
+    renderPreview(currentPreviewableTxs[currentTxIndex]);
+}
+
+function updateSceneModeControls() {
+    const towersButton = document.getElementById('towers-view');
+    if (towersButton) towersButton.classList.toggle('active', sceneMode === 'towers');
+    updateLayoutControl();
+}
+
+// ---- Search ----
+function setSearchStatus(message) {
+    const statusElement = document.getElementById('search-status');
+    if (statusElement) statusElement.textContent = message || '';
+}
+
+function submitSearch(event) {
+    event.preventDefault();
+    const query = document.getElementById('search-input').value.trim();
+    if (!query) return;
+    runSearch(query);
+}
+
+function runSearch(query) {
+    searchRequestId = sendMessage({ type: 'search', query });
+    setSearchStatus(searchRequestId === null ? 'Not connected' : 'Searching...');
+}
+
+// Load the day holding the result (unless it is already on screen) and focus its block
+function onSearchResult(result) {
+    if (result.pending) {
+        setSearchStatus('That transaction is still pending and not in a block yet');
+        return;
+    }
+    if (result.kind === 'wallet') {
+        setSearchStatus('Wallet found; loading its transactions');
+        pendingFocus = null;
+        requestWallet(result.address);
+        return;
+    }
+    const labels = { block: `Block ${result.height}`, tx: `Transaction in block ${result.height}` };
+    setSearchStatus(labels[result.kind] || `Block ${result.height}`);
+    if (result.kind === 'tx') requestTransactionDetails(result.txId);
+    pendingFocus = { height: result.height, txId: result.txId || null, bundledIn: result.bundledIn || null };
+
+    const existing = sceneMode === 'day' ? findBlockGroup(result.height) : null;
+    if (existing) {
+        focusBlock(existing);
+        return;
+    }
+    const day = new Date(result.timestamp * 1000);
+    currentlyDisplayedDate = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    requestDayData(currentlyDisplayedDate);
+}
+
+function findBlockGroup(height) {
+    if (!monolith) return null;
+    return monolith.children.find(group => group.userData.blockHeight === height && !group.userData.isTowerItem) || null;
+}
+
+function selectBlock(blockGroup) {
+    if (selectedBlock) setBlockColors(selectedBlock, { outline: selectedBlock.userData.originalOutline });
+    selectedBlock = blockGroup;
+    if (blockGroup) {
+        setBlockColors(blockGroup, { outline: 0xffd54f });
+        flashBlockOutline(blockGroup);
+    }
+}
+
+// Bring a block to the front of the camera, select it and open its details. The searched
+// transaction is highlighted in the block panel and previewed when it is media.
+function focusBlock(blockGroup) {
+    const { txId = null, bundledIn = null } = pendingFocus || {};
+    pendingFocus = null;
+    if (!blockGroup) return;
+
+    isFocusedView = true;
+    setBlockVisible(blockGroup, true);
+    selectBlock(blockGroup);
+
+    const target = blockGroup.getWorldPosition(new THREE.Vector3());
+    cameraMode = 'default';
+    camera.position.set(target.x, target.y + 20, target.z + 80);
+    camera.lookAt(target);
+    cameraMoved = false;
+    if (pendingPose) {
+        applyCameraPose(pendingPose);
+        pendingPose = null;
+    }
+
+    if (blockGroup.userData.isPlaceholder) return;
+    showBlockInfo(blockGroup);
+
+    const tx = txId && (blockGroup.userData.transactions || []).find(t => t.id === txId);
+    if (!tx) return;
+    selectedTxId = tx.id;
+    updateViewUrlSoon();
+    // A data item's row only exists inside its bundle's row, once that is expanded
+    const bundle = (blockGroup.userData.bundles || []).find(b => b.id === (tx.bundledIn || bundledIn));
+    const bundleDiv = bundle && document.querySelector(`#transaction-list .bundle-item[data-bundle-id="${bundle.id}"]`);
+    if (bundleDiv) setBundleExpanded(bundleDiv, bundle, true);
+    const txRow = document.querySelector(`#transaction-list .transaction-item[data-tx-id="${tx.id}"]`);
+    if (txRow) {
+        txRow.classList.add('selected');
+        txRow.scrollIntoView({ block: 'nearest' });
+    }
+    if (getPreviewKind(tx)) {
+        currentPreviewableTxs = [tx];
+        currentTxIndex = 0;
+        renderPreview(tx);
+    }
+}
+
 // ---- Camera Management ----
 function fitCameraToMonolith() {
     if (!camera || !monolith || monolith.children.length === 0) return;
     cameraMode = 'default';
 
-    const box = new THREE.Box3().setFromObject(monolith);
+    const box = getMonolithBounds();
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
     
     const maxDim = Math.max(size.x, size.y, size.z);
     const fov = camera.fov * (Math.PI / 180);
-    let cameraZ = Math.abs(maxDim / Math.sin(fov / 2)) * 1.2;
-    
-    camera.position.set(center.x, center.y, cameraZ);
+    const distance = Math.abs(maxDim / Math.sin(fov / 2)) * 1.2;
+    // Flat layouts are seen from above, the helix and towers from the front
+    const layout = blockLayouts[sceneMode === 'towers' ? 'helix' : activeLayout];
+    camera.position.copy(center).addScaledVector(layout.view.clone().normalize(), distance);
+    camera.far = Math.max(1000, distance + maxDim * 2);
+    camera.updateProjectionMatrix();
     camera.lookAt(center);
 }
 
+// ---- URL State ----
+// The view lives in the URL so it survives reloads and can be shared:
+//   /day/2025-09-01            one UTC day
+//   /range/<start>/<end>       an ISO date/time range
+//   /heights/<from>-<to>       a span of block heights
+//   /wallet/<address>          one address's transactions
+//   /towers                    recent media towers
+// with ?filter=<type>&block=<height>&tx=<id>&cam=top|iso&pose=<camera>&tq=<tag query>
+// (&search=chain when the tag query was run against the chain, &layout=<name> away from
+// the helix, &spacing=time with time spacing on). Loading a new view pushes a history entry; filter, layout, selection and
+// camera changes replace the current one.
+function parseViewPath(pathname) {
+    let parts;
+    try {
+        parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+        return null; // a malformed escape such as %E0%A4%A; treated like any unknown path
+    }
+    if (parts[0] === 'day' && /^\d{4}-\d{2}-\d{2}$/.test(parts[1] || '')) {
+        const date = new Date(`${parts[1]}T00:00:00Z`);
+        if (!isNaN(date.getTime())) return { kind: 'day', date };
+    } else if (parts[0] === 'range' && parts.length === 3) {
+        const start = new Date(parts[1]);
+        const end = new Date(parts[2]);
+        if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && end > start && end - start <= Protocol.MAX_DAY_RANGE * 86400000) return { kind: 'range', start, end };
+    } else if (parts[0] === 'heights' && /^\d+-\d+$/.test(parts[1] || '')) {
+        const [fromHeight, toHeight] = parts[1].split('-').map(Number);
+        if (toHeight >= fromHeight && toHeight - fromHeight < Protocol.MAX_HEIGHT_RANGE) return { kind: 'heights', fromHeight, toHeight };
+    } else if (parts[0] === 'wallet' && /^[a-zA-Z0-9_-]{43}$/.test(parts[1] || '')) {
+        return { kind: 'wallet', address: parts[1] };
+    } else if (parts[0] === 'towers') {
+        return { kind: 'towers' };
+    }
+    return null;
+}
+
+function getViewPath() {
+    if (sceneMode === 'towers') return '/towers';
+    if (sceneMode === 'wallet' && walletSummary) return `/wallet/${walletSummary.address}`;
+    if (currentRange && currentRange.fromHeight !== undefined) return `/heights/${currentRange.fromHeight}-${currentRange.toHeight}`;
+    if (currentRange) return `/range/${currentRange.start.toISOString()}/${currentRange.end.toISOString()}`;
+    return `/day/${currentlyDisplayedDate.toISOString().slice(0, 10)}`;
+}
+
+// Position and rotation of the camera plus the helix's spin, rounded for a readable URL
+function formatCameraPose() {
+    const { position, rotation } = camera;
+    return [position.x, position.y, position.z, rotation.x, rotation.y, rotation.z, monolith.rotation.y]
+        .map(value => Number(value.toFixed(3)))
+        .join(',');
+}
+
+function applyCameraPose(text) {
+    const values = String(text).split(',').map(Number);
+    if (values.length !== 7 || !values.every(Number.isFinite)) return false;
+    camera.position.set(values[0], values[1], values[2]);
+    camera.rotation.set(values[3], values[4], values[5]);
+    monolith.rotation.y = values[6];
+    cameraMoved = true;
+    return true;
+}
+
+function buildViewUrl() {
+    const url = new URL(window.location.href);
+    url.pathname = getViewPath();
+    const params = new URLSearchParams();
+    if (activeFilterType) params.set('filter', activeFilterType);
+    if (activeTagQuery) params.set('tq', TagQuery.serializeTagQuery(activeTagQuery));
+    if (sceneMode === 'query') params.set('search', 'chain');
+    const blockPanel = document.getElementById('block-info-panel');
+    if (infoBlock && infoBlock.parent === monolith && blockPanel && blockPanel.style.display !== 'none') {
+        params.set('block', infoBlock.userData.blockHeight);
+    }
+    if (selectedTxId) params.set('tx', selectedTxId);
+    if (activeLayout !== 'helix' && sceneMode !== 'towers') params.set('layout', activeLayout);
+    if (usesTimeSpacing()) params.set('spacing', 'time');
+    if (cameraMode !== 'default') params.set('cam', cameraMode);
+    if (cameraMoved) params.set('pose', formatCameraPose());
+    url.search = params.toString();
+    return url;
+}
+
+function updateViewUrl(push = false) {
+    clearTimeout(urlUpdateTimer);
+    if (isRestoringUrl) return;
+    const url = buildViewUrl();
+    if (url.href === window.location.href) return;
+    if (push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+// For changes that come in bursts (camera drags, wheel zoom, paging through previews)
+function updateViewUrlSoon() {
+    clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = setTimeout(() => updateViewUrl(), 500);
+}
+
+// Load the view described by the URL; used on connect and on back/forward
+function applyUrlState() {
+    const params = new URL(window.location.href).searchParams;
+    const view = parseViewPath(window.location.pathname);
+    const now = new Date();
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    isRestoringUrl = true;
+    try {
+        loadTagQueryFromUrl();
+        const filter = params.get('filter');
+        activeFilterType = filter === 'render' || contentTypeDataStyles[filter] ? filter : null;
+        applySceneFilter();
+        highlightLegendSelection();
+        // The view below is reloaded, so its blocks are placed under this layout as they arrive
+        activeLayout = blockLayouts[params.get('layout')] ? params.get('layout') : 'helix';
+        timeSpacing = params.get('spacing') === 'time';
+        updateLayoutControl();
+
+        if (params.get('search') === 'chain' && activeTagQuery && (!view || ['day', 'range', 'heights'].includes(view.kind))) {
+            // onSearchChain searches whatever day or range is current
+            currentRange = view && view.kind === 'range' ? { start: view.start, end: view.end }
+                : view && view.kind === 'heights' ? { fromHeight: view.fromHeight, toHeight: view.toHeight }
+                : null;
+            currentlyDisplayedDate = view && view.kind === 'day' ? view.date : today;
+            onSearchChain();
+        } else if (!view || view.kind === 'day') {
+            currentlyDisplayedDate = view ? view.date : today;
+            requestDayData(currentlyDisplayedDate);
+        } else if (view.kind === 'range') {
+            requestDateRange(view.start, view.end);
+        } else if (view.kind === 'heights') {
+            requestHeightRange(view.fromHeight, view.toHeight);
+        } else if (view.kind === 'wallet') {
+            requestWallet(view.address);
+        } else if (view.kind === 'towers') {
+            requestTowers();
+        }
+
+        const block = parseInt(params.get('block'), 10);
+        pendingFocus = Number.isInteger(block) ? { height: block, txId: params.get('tx') } : null;
+        if (!pendingFocus && /^[a-zA-Z0-9_-]{43}$/.test(params.get('tx') || '')) requestTransactionDetails(params.get('tx'));
+        const cam = params.get('cam');
+        if (cam === 'top') setTopView();
+        if (cam === 'iso') setIsometricView();
+        pendingPose = params.get('pose');
+        if (pendingPose && !pendingFocus) {
+            applyCameraPose(pendingPose);
+            pendingPose = null;
+        }
+        // Keep the restored camera while the view streams in
+        if (cam || cameraMoved) isFocusedView = true;
+    } finally {
+        isRestoringUrl = false;
+    }
+    // A bare / becomes the explicit day it showed
+    if (!view) updateViewUrl();
+}
+
 // ---- WebSocket Management ----
+// Validate an outgoing request against the shared protocol and tag it with an id.
+// Returns the id, or null if the message was not sent.
+function sendMessage(message) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return null;
+    const request = { ...message, id: nextRequestId++ };
+    const problems = Protocol.validateMessage('client', request);
+    if (problems.length > 0) {
+        console.error(`Refusing to send invalid ${message.type}:`, problems);
+        return null;
+    }
+    ws.send(JSON.stringify(request));
+    return request.id;
+}
+
+// Block stream messages answer a specific request; drop those left over from a previous view
+function isStaleStreamMessage(message) {
+    if (message.requestId === undefined) return false;
+    if (!['newBlock', 'blockFailed', 'dayStreamComplete', 'liveStatus', 'towers_partial', 'towers', 'walletComplete', 'tagSearchComplete'].includes(message.type)) return false;
+    return !currentViewRequestIds.has(message.requestId);
+}
+
+// Start a fresh block view: clears the monolith and sends the request that will fill it
+function beginBlockView(request, range, mode = 'day') {
+    sceneMode = mode;
+    currentRange = range;
+    updateSceneModeControls();
+    clearMonolith();
+    updateStatsDisplay();
+    updateWalletSummary();
+    console.log('Sending WebSocket request:', request);
+    currentViewRequestIds.clear();
+    const requestId = sendMessage(request);
+    if (requestId !== null) currentViewRequestIds.add(requestId);
+    selectedTxId = null;
+    cameraMoved = false;
+    updateViewUrl(true);
+}
+
 function requestDayData(date) {
     console.log('Requesting data for date:', date.toISOString());
     if (ws && ws.readyState === WebSocket.OPEN) {
-        clearMonolith();
         updateDateDisplay(date);
+        isLiveView = isTodayUTC(date);
+        updateLiveIndicator(null);
+        if (!isLiveView) {
+            const commsElement = document.getElementById('comms');
+            if (commsElement) commsElement.textContent = 'Connected to server';
+        }
         
         const y = date.getUTCFullYear();
         const m = date.getUTCMonth();
@@ -349,14 +1883,172 @@ function requestDayData(date) {
         const start = new Date(Date.UTC(y, m, d, 0, 0, 0, 0));
         const end = new Date(Date.UTC(y, m, d, 23, 59, 59, 999));
         
-        const request = { type: 'get_day', start: start.toISOString(), end: end.toISOString() };
-        console.log('Sending WebSocket request:', request);
-        ws.send(JSON.stringify(request));
+        beginBlockView({ type: 'get_day', start: start.toISOString(), end: end.toISOString(), live: isLiveView }, null);
     } else {
         console.error('WebSocket not ready');
     }
 }
 
+// Arbitrary UTC date/time range; the server streams it block by block, so long ranges
+// fill in progressively
+function requestDateRange(start, end) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        console.error('WebSocket not ready');
+        return;
+    }
+    const range = { start, end };
+    isLiveView = false;
+    updateLiveIndicator(null);
+    updateRangeDisplay(range);
+    currentlyDisplayedDate = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+    beginBlockView({ type: 'get_day', start: start.toISOString(), end: end.toISOString() }, range);
+}
+
+function requestHeightRange(fromHeight, toHeight) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        console.error('WebSocket not ready');
+        return;
+    }
+    const range = { fromHeight, toHeight };
+    isLiveView = false;
+    updateLiveIndicator(null);
+    updateRangeDisplay(range);
+    beginBlockView({ type: 'get_heights', fromHeight, toHeight }, range);
+}
+
+// ---- Wallet View ----
+// All transactions of one address, grouped by block along the helix in time order
+function requestWallet(address) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        console.error('WebSocket not ready');
+        return;
+    }
+    isLiveView = false;
+    updateLiveIndicator(null);
+    const dateElement = document.getElementById('date-display');
+    if (dateElement) dateElement.textContent = `Wallet ${address.substring(0, 6)}...${address.slice(-6)}`;
+    walletSummary = { address, txCount: 0, totalBytes: 0, byType: {}, first: null, last: null, complete: false, truncated: false };
+    beginBlockView({ type: 'get_wallet', address }, null, 'wallet');
+    updateWalletSummary();
+}
+
+function addWalletBlock(blockData) {
+    if (!walletSummary || !blockData) return;
+    (blockData.transactions || []).forEach(tx => {
+        const type = getTransactionContentType(tx);
+        walletSummary.byType[type] = (walletSummary.byType[type] || 0) + 1;
+        walletSummary.totalBytes += parseInt(tx.data_size || '0', 10) || 0;
+        walletSummary.txCount++;
+    });
+    if (blockData.timestamp) {
+        if (walletSummary.first === null) walletSummary.first = blockData.timestamp;
+        walletSummary.last = blockData.timestamp;
+    }
+    updateWalletSummary();
+}
+
+function updateWalletSummary() {
+    const summaryElement = document.getElementById('wallet-summary');
+    if (!summaryElement) return;
+    if (sceneMode !== 'wallet' || !walletSummary) {
+        summaryElement.style.display = 'none';
+        return;
+    }
+    const formatDate = ts => (ts ? new Date(ts * 1000).toISOString().slice(0, 10) : '-');
+    // One row per content type, in legend order
+    const typeRows = Object.keys(contentTypeDataStyles)
+        .filter(type => walletSummary.byType[type])
+        .map(type => [contentTypeDataStyles[type].name, walletSummary.byType[type].toLocaleString()]);
+    const status = walletSummary.complete
+        ? (walletSummary.truncated ? ' (oldest only; more not loaded)' : '')
+        : ' (loading...)';
+
+    summaryElement.innerHTML = '';
+    [
+        ['Address', `${walletSummary.address.substring(0, 10)}...`],
+        ['Transactions', `${walletSummary.txCount.toLocaleString()}${status}`],
+        ['Total Size', formatBytes(walletSummary.totalBytes)],
+        ['First Activity', formatDate(walletSummary.first)],
+        ['Last Activity', formatDate(walletSummary.last)],
+        ...typeRows
+    ].forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'info-row';
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'info-label';
+        labelSpan.textContent = label;
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'info-value';
+        valueSpan.textContent = value;
+        row.append(labelSpan, valueSpan);
+        summaryElement.appendChild(row);
+    });
+    summaryElement.title = walletSummary.address;
+    summaryElement.style.display = 'block';
+}
+
+function toggleRangePicker() {
+    const panel = document.getElementById('date-picker-panel');
+    if (!panel) return;
+    const opening = panel.style.display === 'none';
+    panel.style.display = opening ? 'block' : 'none';
+    if (opening) {
+        // Prefill with the day on screen (datetime-local values are read as UTC)
+        const dayStart = currentlyDisplayedDate.toISOString().slice(0, 10);
+        const startInput = document.getElementById('range-start');
+        const endInput = document.getElementById('range-end');
+        if (!startInput.value) startInput.value = `${dayStart}T00:00`;
+        if (!endInput.value) endInput.value = `${dayStart}T23:59`;
+    }
+}
+
+function showRangeError(message) {
+    const errorElement = document.getElementById('range-error');
+    if (errorElement) errorElement.textContent = message || '';
+}
+
+function onLoadDateRange() {
+    const startValue = document.getElementById('range-start').value;
+    const endValue = document.getElementById('range-end').value;
+    const start = new Date(`${startValue}Z`);
+    const end = new Date(`${endValue}:59.999Z`);
+    if (!startValue || !endValue || isNaN(start.getTime()) || isNaN(end.getTime())) {
+        showRangeError('Enter a start and end date');
+        return;
+    }
+    if (end <= start) {
+        showRangeError('The end must be after the start');
+        return;
+    }
+    if (end - start > Protocol.MAX_DAY_RANGE * 86400000) {
+        showRangeError(`At most ${Protocol.MAX_DAY_RANGE} days at once`);
+        return;
+    }
+    showRangeError('');
+    document.getElementById('date-picker-panel').style.display = 'none';
+    requestDateRange(start, end);
+}
+
+function onLoadHeightRange() {
+    const fromHeight = parseInt(document.getElementById('range-from-height').value, 10);
+    const toHeight = parseInt(document.getElementById('range-to-height').value, 10);
+    if (!(fromHeight >= 0) || !(toHeight >= 0)) {
+        showRangeError('Enter both block heights');
+        return;
+    }
+    if (toHeight < fromHeight) {
+        showRangeError('The end height must not be below the start');
+        return;
+    }
+    if (toHeight - fromHeight + 1 > Protocol.MAX_HEIGHT_RANGE) {
+        showRangeError(`At most ${Protocol.MAX_HEIGHT_RANGE} blocks at once`);
+        return;
+    }
+    showRangeError('');
+    document.getElementById('date-picker-panel').style.display = 'none';
+    requestHeightRange(fromHeight, toHeight);
+}
+
 function connectWebSocket() {
     console.log('Connecting to WebSocket server...');
     
@@ -369,36 +2061,118 @@ function connectWebSocket() {
     
     ws.onopen = () => {
         console.log('WebSocket connected successfully');
+        sendMessage({ type: 'hello', version: Protocol.PROTOCOL_VERSION });
         const commsElement = document.getElementById('comms');
         if (commsElement) {
             commsElement.textContent = 'Connected to server';
             commsElement.style.color = '#4CAF50';
         }
         
-        // Request blocks for the contemporary day using UTC
-        const now = new Date();
-        currentlyDisplayedDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-        requestDayData(currentlyDisplayedDate);
+        // Open the view in the URL, or today's blocks
+        applyUrlState();
     };
     
     ws.onmessage = (event) => {
         try {
             const message = JSON.parse(event.data);
             console.log('Received:', message.type);
+            const problems = Protocol.validateMessage('server', message);
+            if (problems.length > 0) console.warn(`Unexpected ${message.type} message:`, problems);
+            if (isStaleStreamMessage(message)) return;
             
             switch (message.type) {
-                case 'newBlock':
-                    addNewBlock(message.data);
+                case 'welcome':
+                    console.log(`Server speaks protocol v${message.version}`);
+                    break;
+                case 'newBlock': {
+                    const placeholder = message.data && findPlaceholderBlock(message.data.height);
+                    if (placeholder) {
+                        resolvePlaceholderBlock(placeholder, message.data);
+                    } else {
+                        addNewBlock(message.data);
+                    }
+                    if (sceneMode === 'wallet') addWalletBlock(message.data);
+                    if (pendingFocus && message.data && message.data.height === pendingFocus.height) {
+                        focusBlock(findBlockGroup(pendingFocus.height));
+                    }
+                    break;
+                }
+                case 'tagSearchComplete': {
+                    const result = message.data || {};
+                    const more = result.truncated ? ' (more matches not loaded)' : '';
+                    const commsElement = document.getElementById('comms');
+                    if (commsElement) commsElement.textContent = `${result.count} matching transactions${more}`;
+                    if (!isFocusedView) fitCameraToMonolith();
+                    break;
+                }
+                case 'walletComplete':
+                    if (walletSummary && message.data) {
+                        walletSummary.complete = true;
+                        walletSummary.truncated = !!message.data.truncated;
+                        updateWalletSummary();
+                    }
+                    if (!isFocusedView) fitCameraToMonolith();
+                    break;
+                case 'searchResult':
+                    if (message.requestId === searchRequestId) onSearchResult(message.data);
+                    break;
+                case 'txDetails':
+                    if (message.requestId === txDetailsRequestId) renderTxDetails(message.data);
+                    break;
+                case 'bundleItems':
+                    onBundleItems(message.data);
+                    break;
+                case 'blockFailed':
+                    addFailedBlock(message.data);
+                    if (pendingFocus && message.data && message.data.height === pendingFocus.height) {
+                        setSearchStatus(`Block ${pendingFocus.height} could not be loaded; click it to retry`);
+                        focusBlock(findBlockGroup(pendingFocus.height));
+                    }
+                    break;
+                case 'gateway':
+                    if (message.url) {
+                        mediaGatewayUrl = message.url.replace(/\/+$/, '');
+                        console.log('Using media gateway:', mediaGatewayUrl);
+                    }
                     break;
                 case 'dayStreamComplete':
                     console.log('Day stream complete. Finalizing camera position.');
-                    fitCameraToMonolith();
+                    if (!isFocusedView) fitCameraToMonolith();
+                    break;
+                case 'liveStatus':
+                    updateLiveIndicator(message);
                     break;
-                case 'loadingStatus':
+                case 'towers_partial':
+                    if (sceneMode === 'towers') updateTowers(message.data);
+                    break;
+                case 'towers':
+                    if (sceneMode === 'towers') {
+                        updateTowers(message.data);
+                        fitCameraToMonolith();
+                    }
+                    break;
+                case 'loadingStatus': {
                     console.log('Status:', message.message);
+                    const commsElement = document.getElementById('comms');
+                    if (sceneMode !== 'day' && commsElement) commsElement.textContent = message.message;
                     break;
+                }
                 case 'error':
-                    console.error('Server error:', message.message);
+                    console.error(`Server error${message.code ? ` (${message.code})` : ''}:`, message.message);
+                    if (message.requestId !== undefined && message.requestId === searchRequestId) {
+                        setSearchStatus(message.message);
+                    }
+                    if (message.requestId !== undefined && message.requestId === txDetailsRequestId) {
+                        const inspectorBody = document.getElementById('tx-inspector-body');
+                        if (inspectorBody) inspectorBody.textContent = message.message;
+                    }
+                    if (message.code === Protocol.ERROR_CODES.UNSUPPORTED_VERSION) {
+                        const commsElement = document.getElementById('comms');
+                        if (commsElement) {
+                            commsElement.textContent = 'Server protocol mismatch';
+                            commsElement.style.color = '#f44336';
+                        }
+                    }
                     break;
             }
         } catch (e) {
@@ -417,6 +2191,8 @@ function connectWebSocket() {
     
     ws.onclose = () => {
         console.log('WebSocket connection closed');
+        isLiveView = false;
+        updateLiveIndicator(null);
         const commsElement = document.getElementById('comms');
         if (commsElement) {
             commsElement.textContent = 'Disconnected';
@@ -432,15 +2208,15 @@ function onMouseMove(event) {
         mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
         raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObjects(monolith.children, true);
+        const block = pickBlock();
 
-        if (intersects.length > 0) {
-            const intersected = intersects[0].object;
-            if (hoveredBlock !== intersected) {
+        if (block) {
+            if (hoveredBlock !== block) {
                 clearHoverState();
-                hoveredBlock = intersected;
-                setBlockHoverVisuals(hoveredBlock, true);
+                hoveredBlock = block;
+                setBlockHover(hoveredBlock, true);
             }
+            showBlockTooltip(block, event);
         } else {
             clearHoverState();
         }
@@ -459,6 +2235,7 @@ function onMouseMove(event) {
             const panSpeed = 0.5;
             camera.position.x -= deltaMove.x * panSpeed;
             camera.position.z += deltaMove.y * panSpeed;
+            cameraMoved = true;
             break;
         case 'iso':
         case 'default':
@@ -466,6 +2243,7 @@ function onMouseMove(event) {
             // Orbit in iso and default views
             const rotationSpeed = 0.005;
             monolith.rotation.y += deltaMove.x * rotationSpeed;
+            cameraMoved = true;
             const newRotX = camera.rotation.x - deltaMove.y * rotationSpeed;
             camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, newRotX));
             break;
@@ -477,29 +2255,21 @@ function onMouseMove(event) {
 
 function clearHoverState() {
     if (hoveredBlock) {
-        setBlockHoverVisuals(hoveredBlock, false);
+        setBlockHover(hoveredBlock, false);
         hoveredBlock = null;
     }
-}
-
-function setBlockHoverVisuals(block, isHovered) {
-    // Ensure we are acting on the main cube mesh, not the outline
-    const root = getBlockRoot(block);
-    if (!root) return;
-
-    const cube = root.children.find(child => child.isMesh);
-    if (!cube || !cube.material || typeof cube.material.emissive === 'undefined') return;
-
-    cube.material.emissive.setHex(isHovered ? 0x555555 : 0x000000);
+    hideBlockTooltip();
 }
 
 function onMouseDown(event) {
     isDragging = false;
+    hideBlockTooltip();
     previousMousePosition = { x: event.clientX, y: event.clientY };
 }
 
 function onMouseUp() {
     isDragging = false;
+    if (cameraMoved) updateViewUrlSoon();
 }
 
 function onMouseClick(event) {
@@ -509,28 +2279,22 @@ function onMouseClick(event) {
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(monolith.children, true);
-
-    if (intersects.length > 0) {
-        const intersected = intersects[0].object;
-        const blockGroup = getBlockRoot(intersected);
-        if (blockGroup) {
-            openMediaPreview(blockGroup);
-        }
-    }
-}
+    const blockGroup = pickBlock();
+    if (!blockGroup) return;
 
-function getBlockRoot(obj) {
-    let o = obj;
-    while (o && o.parent !== monolith) {
-        o = o.parent;
+    if (blockGroup.userData.isPlaceholder) {
+        retryFailedBlock(blockGroup);
+    } else if (blockGroup.userData.isTowerItem) {
+        openTowerPreview(blockGroup);
+    } else {
+        openMediaPreview(blockGroup);
     }
-    return o;
 }
 
 function showBlockInfo(group) {
     const panel = document.getElementById('block-info-panel');
     if (!panel || !group) return;
+    infoBlock = group;
 
     const h = group.userData.blockHeight;
     const totalSize = group.userData.totalSize;
@@ -538,25 +2302,341 @@ function showBlockInfo(group) {
 
     document.getElementById('block-height').textContent = h;
     document.getElementById('block-total-size').textContent = formatBytes(totalSize);
+    document.getElementById('block-tx-count').textContent = group.userData.truncated
+        ? `${txs.length} (partial list)`
+        : String(txs.length);
+    renderBlockHeader(group);
+    renderTypeBreakdown(txs);
+    document.getElementById('prev-block-btn').disabled = !canNavigateBlock(-1);
+    document.getElementById('next-block-btn').disabled = !canNavigateBlock(1);
+    updateViewUrlSoon();
 
     const txList = document.getElementById('transaction-list');
     txList.innerHTML = '';
 
+    // Bundles first, each expandable into its data items; items already listed under a
+    // bundle are not repeated at the top level.
+    const bundles = group.userData.bundles || [];
+    const bundledIds = new Set();
+    bundles.forEach(bundle => {
+        bundle.items.forEach(item => bundledIds.add(item.id));
+        txList.appendChild(createBundleItem(bundle));
+    });
+
+    const listedTxs = txs.filter(tx => !tx.isBundle && !bundledIds.has(tx.id));
+    listedTxs.forEach(tx => txList.appendChild(createTransactionItem(tx, listedTxs)));
+
+    panel.style.display = 'block';
+}
+
+function createTransactionItem(tx, siblings) {
+    const txDiv = document.createElement('div');
+    txDiv.className = 'transaction-item';
+    txDiv.dataset.txId = tx.id;
+    const label = document.createElement('span');
+    label.textContent = `ID: ${tx.id.substring(0, 10)}... | Size: ${formatBytes(parseInt(tx.data_size || '0', 10))}`;
+    txDiv.appendChild(label);
+    const inspectBtn = document.createElement('button');
+    inspectBtn.className = 'inspect-btn';
+    inspectBtn.textContent = 'INFO';
+    inspectBtn.title = 'Show every field of this transaction';
+    inspectBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        requestTransactionDetails(tx.id);
+    });
+    txDiv.appendChild(inspectBtn);
+    txDiv.style.cursor = 'pointer';
+    txDiv.addEventListener('click', (event) => {
+        event.stopPropagation();
+        openPreview(tx, siblings);
+    });
+    return txDiv;
+}
+
+// Opens one transaction in the preview panel; prev/next walk the previewable ones in txs
+function openPreview(tx, txs = [tx]) {
+    currentPreviewableTxs = txs.filter(t => t === tx || getPreviewKind(t));
+    currentTxIndex = currentPreviewableTxs.indexOf(tx);
+    renderPreview(tx);
+}
+
+function createBundleItem(bundle) {
+    const bundleDiv = document.createElement('div');
+    bundleDiv.className = 'transaction-item bundle-item';
+    bundleDiv.dataset.bundleId = bundle.id;
+
+    const header = document.createElement('div');
+    header.className = 'tx-header';
+    const size = bundle.tx ? parseInt(bundle.tx.data_size || '0', 10) : bundle.itemBytes;
+    header.textContent = `BUNDLE ${bundle.id.substring(0, 10)}... | ${bundle.items.length} items | ${formatBytes(size)}`;
+    bundleDiv.appendChild(header);
+
+    const details = document.createElement('div');
+    details.className = 'tx-details';
+    bundleDiv.appendChild(details);
+
+    header.addEventListener('click', () => setBundleExpanded(bundleDiv, bundle, !details.classList.contains('show')));
+    return bundleDiv;
+}
+
+function setBundleExpanded(bundleDiv, bundle, expanded) {
+    const details = bundleDiv.querySelector('.tx-details');
+    details.classList.toggle('show', expanded);
+    bundleDiv.classList.toggle('expanded', expanded);
+    if (expanded) renderBundleItems(bundle, details);
+}
+
+function renderBundleItems(bundle, container) {
+    container.innerHTML = '';
+    const unpacked = bundleItemCache[bundle.id];
+    const items = unpacked ? unpacked.items : bundle.items;
+    items.forEach(item => container.appendChild(createTransactionItem(item, items)));
+
+    if (unpacked && !unpacked.complete) {
+        const note = document.createElement('div');
+        note.textContent = `Showing ${items.length}${unpacked.total ? ` of ${unpacked.total}` : ''} items`;
+        container.appendChild(note);
+        // The server sends a page of items at a time; ask for the next from where this one ends
+        const moreBtn = document.createElement('button');
+        moreBtn.className = 'viz-btn';
+        moreBtn.textContent = 'Load more';
+        moreBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            requestBundleItems(bundle.id, items.length);
+            moreBtn.disabled = true;
+            moreBtn.textContent = 'Loading...';
+        });
+        container.appendChild(moreBtn);
+    }
+
+    // The gateway may not have indexed the items in this block; offer to read the bundle itself
+    if (!unpacked) {
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'viz-btn';
+        loadBtn.textContent = items.length > 0 ? 'Unpack bundle' : 'Load data items';
+        loadBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            requestBundleItems(bundle.id);
+            loadBtn.disabled = true;
+            loadBtn.textContent = 'Loading...';
+        });
+        container.appendChild(loadBtn);
+    }
+}
+
+function requestBundleItems(bundleId, offset = 0) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        sendMessage(offset > 0 ? { type: 'get_bundle', bundleId, offset } : { type: 'get_bundle', bundleId });
+    }
+}
+
+function onBundleItems(result) {
+    if (!result || !result.bundleId) return;
+    const cached = bundleItemCache[result.bundleId];
+    if (result.offset > 0) {
+        // A later page: append it, unless it does not follow on from what is shown
+        if (!cached || cached.items.length !== result.offset) return;
+        bundleItemCache[result.bundleId] = { ...result, offset: 0, items: cached.items.concat(result.items) };
+    } else {
+        bundleItemCache[result.bundleId] = result;
+    }
+    const bundleDiv = document.querySelector(`.bundle-item[data-bundle-id="${result.bundleId}"]`);
+    const details = bundleDiv && bundleDiv.querySelector('.tx-details');
+    if (!details) return;
+    const group = monolith.children.find(g => (g.userData.bundles || []).some(b => b.id === result.bundleId));
+    const bundle = group && group.userData.bundles.find(b => b.id === result.bundleId);
+    if (bundle) renderBundleItems(bundle, details);
+}
+
+function renderBlockHeader(group) {
+    const container = document.getElementById('block-header-fields');
+    if (!container) return;
+    container.innerHTML = '';
+    const header = group.userData.header || {};
+    const add = (label, value, options) => {
+        if (value !== null && value !== undefined && value !== '') container.appendChild(createInspectorRow(label, String(value), options));
+    };
+
+    const timestamp = group.userData.timestamp;
+    if (timestamp) add('Mined', new Date(timestamp * 1000).toUTCString());
+    const interval = getBlockInterval(group);
+    if (interval !== null) add('Since prev', formatDuration(interval));
+    add('Hash', header.indep_hash, { copy: true });
+    add('Previous', header.previous_block, { copy: true, onOpen: () => navigateBlock(-1) });
+    add('Miner', header.reward_addr, { copy: true, onOpen: () => requestWallet(header.reward_addr) });
+    if (header.rewardAr !== undefined) add('Reward', `${header.rewardAr} AR`);
+    if (header.block_size !== undefined) add('Block size', formatBytes(parseInt(header.block_size, 10) || 0));
+    if (header.weave_size !== undefined) add('Weave size', formatBytes(parseInt(header.weave_size, 10) || 0));
+    add('Difficulty', header.diff, { copy: true });
+    add('TX root', header.tx_root, { copy: true });
+    if (!header.indep_hash) add('Header', 'not loaded in this view');
+}
+
+// Transactions per category, largest first, in the legend's colours
+function renderTypeBreakdown(txs) {
+    const container = document.getElementById('block-type-breakdown');
+    if (!container) return;
+    container.innerHTML = '';
+    const counts = {};
     txs.forEach(tx => {
-        const txDiv = document.createElement('div');
-        txDiv.className = 'transaction-item';
-                txDiv.textContent = `ID: ${tx.id.substring(0, 10)}... | Size: ${formatBytes(tx.data_size)}`;
-        txDiv.style.cursor = 'pointer';
-        txDiv.addEventListener('click', () => openPreview(tx));
-        txList.appendChild(txDiv);
+        const type = getTransactionContentType(tx);
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    Object.entries(counts).sort((a, b) => b[1] - a[1]).forEach(([type, count]) => {
+        const style = contentTypeDataStyles[type] || contentTypeDataStyles.other;
+        const row = document.createElement('div');
+        row.className = 'legend-item breakdown-row';
+        row.innerHTML = `<span class="legend-color-box" style="border-color: #${style.outlineColor.toString(16).padStart(6, '0')};"></span><span>${style.name}</span><span class="legend-count">${count} (${Math.round((count / txs.length) * 100)}%)</span>`;
+        container.appendChild(row);
+    });
+    if (txs.length === 0) container.textContent = 'No transactions';
+}
+
+// Nearest loaded block above (1) or below (-1) the one in the panel
+function findAdjacentBlock(direction) {
+    if (!infoBlock) return null;
+    const height = infoBlock.userData.blockHeight;
+    let best = null;
+    monolith.children.forEach(group => {
+        const data = group.userData;
+        if (data.blockHeight === undefined || data.isTowerItem || data.isPlaceholder) return;
+        if ((data.blockHeight - height) * direction <= 0) return;
+        if (!best || Math.abs(data.blockHeight - height) < Math.abs(best.userData.blockHeight - height)) best = group;
     });
+    return best;
+}
+
+// A day view can always step past its edges by loading the neighbouring day
+function canNavigateBlock(direction) {
+    if (!infoBlock) return false;
+    return !!findAdjacentBlock(direction) || (sceneMode === 'day' && infoBlock.userData.blockHeight + direction >= 0);
+}
+
+function navigateBlock(direction) {
+    const adjacent = findAdjacentBlock(direction);
+    if (adjacent) {
+        focusBlock(adjacent);
+    } else if (infoBlock && sceneMode === 'day') {
+        runSearch(String(infoBlock.userData.blockHeight + direction));
+    }
+}
 
+// ---- Transaction Inspector ----
+function requestTransactionDetails(txId) {
+    const panel = document.getElementById('tx-inspector-panel');
+    const body = document.getElementById('tx-inspector-body');
+    if (!panel || !body) return;
+    txDetailsRequestId = sendMessage({ type: 'get_tx', txId });
+    selectedTxId = txId;
+    updateViewUrlSoon();
+    body.textContent = txDetailsRequestId === null ? 'Not connected' : `Loading ${txId.substring(0, 10)}...`;
     panel.style.display = 'block';
 }
 
+function closeTxInspector() {
+    const panel = document.getElementById('tx-inspector-panel');
+    if (panel) panel.style.display = 'none';
+    txDetailsRequestId = null;
+    selectedTxId = null;
+    updateViewUrl();
+}
+
+function copyToClipboard(text, button) {
+    navigator.clipboard.writeText(text).then(() => {
+        const label = button.textContent;
+        button.textContent = 'COPIED';
+        setTimeout(() => { button.textContent = label; }, 1000);
+    }).catch(err => console.warn('Copy failed:', err));
+}
+
+// One label/value row; `copy` adds a copy button and `onOpen` makes the value a link
+// into the explorer (wallet view, block, bundle parent)
+function createInspectorRow(label, value, { copy = false, onOpen = null } = {}) {
+    const row = document.createElement('div');
+    row.className = 'inspector-row';
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'info-label';
+    labelSpan.textContent = label;
+    row.appendChild(labelSpan);
+
+    const valueSpan = document.createElement(onOpen ? 'a' : 'span');
+    valueSpan.className = 'inspector-value';
+    valueSpan.textContent = value;
+    if (onOpen) {
+        valueSpan.href = '#';
+        valueSpan.addEventListener('click', (event) => {
+            event.preventDefault();
+            onOpen();
+        });
+    }
+    row.appendChild(valueSpan);
+
+    if (copy) {
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'copy-btn';
+        copyBtn.textContent = 'COPY';
+        copyBtn.addEventListener('click', () => copyToClipboard(value, copyBtn));
+        row.appendChild(copyBtn);
+    }
+    return row;
+}
+
+function renderTxDetails(details) {
+    const body = document.getElementById('tx-inspector-body');
+    if (!body) return;
+    body.innerHTML = '';
+
+    const fields = document.createElement('div');
+    fields.className = 'info-section';
+    const add = (label, value, options) => {
+        if (value !== null && value !== undefined && value !== '') fields.appendChild(createInspectorRow(label, String(value), options));
+    };
+    const block = details.block;
+
+    add('ID', details.id, { copy: true });
+    add('Status', details.pending ? 'Pending' : `${details.confirmations} confirmation${details.confirmations === 1 ? '' : 's'}`);
+    if (block) {
+        add('Block', block.height, { onOpen: () => runSearch(details.id) });
+        add('Block hash', block.hash, { copy: true });
+        add('Mined', new Date(block.timestamp * 1000).toUTCString());
+    }
+    add('Owner', details.owner, { copy: true, onOpen: () => requestWallet(details.owner) });
+    add('Target', details.target, { copy: true });
+    if (details.quantity && details.quantity.winston !== '0') add('Quantity', `${details.quantity.ar} AR`);
+    if (details.reward) add('Reward', `${details.reward.ar} AR`);
+    add('Data', `${formatBytes(details.dataSize)}${details.contentType ? ` (${details.contentType})` : ''}`);
+    add('Data root', details.dataRoot, { copy: true });
+    add('Format', details.format);
+    add('Signature', details.signatureType);
+    add('Anchor', details.anchor, { copy: true });
+    add('Bundled in', details.bundledIn, { copy: true, onOpen: () => requestTransactionDetails(details.bundledIn) });
+    body.appendChild(fields);
+
+    const tagSection = document.createElement('div');
+    tagSection.className = 'info-section';
+    const tagTitle = document.createElement('h4');
+    tagTitle.textContent = `Tags (${details.tags.length})`;
+    tagSection.appendChild(tagTitle);
+    details.tags.forEach(tag => tagSection.appendChild(createInspectorRow(tag.name, tag.value, { copy: true })));
+    body.appendChild(tagSection);
+
+    const links = document.createElement('div');
+    links.className = 'info-section';
+    const addLink = (text, href) => {
+        const link = createGatewayLink(href);
+        link.textContent = text;
+        links.appendChild(link);
+    };
+    addLink('Data on gateway ↗', getTxDataUrl(details.id));
+    if (details.format !== 'ans104') addLink('Header JSON ↗', `${mediaGatewayUrl}/tx/${details.id}`);
+    addLink('ViewBlock ↗', `https://viewblock.io/arweave/tx/${details.id}`);
+    body.appendChild(links);
+}
+
 function closeBlockInfo() {
     const panel = document.getElementById('block-info-panel');
     if (panel) panel.style.display = 'none';
+    updateViewUrl();
 }
 
 function onMouseWheel(event) {
@@ -582,20 +2662,22 @@ function onMouseWheel(event) {
             camera.position.add(vector.multiplyScalar(direction * zoomSpeedDolly * 100));
             break;
     }
+    cameraMoved = true;
+    updateViewUrlSoon();
 }
 
 function openMediaPreview(blockGroup) {
     const txs = blockGroup.userData.transactions || [];
     
-    // Treat 'render' mode as the 'image' filter for preview purposes
+    // Treat 'render' mode as the 'image' filter for preview purposes. With a filter every
+    // previewable item of that type opens; otherwise only media does, so blocks full of
+    // JSON or text still open their transaction list.
     const filter = (activeFilterType === 'render') ? 'image' : activeFilterType;
     currentPreviewableTxs = txs.filter(tx => {
-        const ct = getTransactionContentType(tx);
-        if (filter && ct !== filter) {
-            return false;
-        }
-        const mime = (tx.tags && (tx.tags['Content-Type'] || tx.tags['content-type'])) || '';
-        return mime.startsWith('image/') || mime.startsWith('video/') || mime.startsWith('audio/');
+        const kind = getPreviewKind(tx);
+        if (!kind) return false;
+        if (filter) return getTransactionContentType(tx) === filter;
+        return MEDIA_PREVIEW_KINDS.includes(kind);
     });
 
     if (currentPreviewableTxs.length > 0) {
@@ -612,26 +2694,48 @@ function renderPreview(tx) {
     const previewPanel = document.getElementById('content-preview-panel');
     const display = document.getElementById('content-display');
     const counter = document.getElementById('tx-counter');
+    const title = document.getElementById('content-title');
     if (!display || !previewPanel || !counter) return;
 
-    const ct = (tx.tags && (tx.tags['Content-Type'] || tx.tags['content-type'])) || '';
-    const url = `https://arweave.net/${tx.id}`;
+    const token = ++previewToken;
+    if (previewAbort) previewAbort.abort();
+    previewAbort = null;
 
     display.innerHTML = '';
     counter.textContent = `${currentTxIndex + 1} / ${currentPreviewableTxs.length}`;
+    selectedTxId = tx.id;
+    updateViewUrlSoon();
+    if (title) title.textContent = tx.manifestPath || 'Transaction Content';
+    previewPanel.style.display = 'block';
+
+    if (previewManifest && tx.manifestId === previewManifest.tx.id) {
+        display.appendChild(createManifestBackButton());
+    }
+
+    // Manifest entries carry no tags; ask the gateway what the path serves first
+    if (tx.manifestPath && !tx.tags) {
+        appendPreviewNote(display, 'Loading...');
+        fetchEntryContentType(tx).then(() => {
+            if (token === previewToken) renderPreview(tx);
+        });
+        return;
+    }
+
+    const kind = getPreviewKind(tx);
+    const url = getTxDataUrl(tx.id);
 
     const errorFallback = (msg = 'Preview unavailable') => {
         display.textContent = msg;
     };
 
-    if (ct.startsWith('image/')) {
+    if (kind === 'image') {
         const img = document.createElement('img');
         img.src = url;
         img.style.maxWidth = '100%';
         img.style.maxHeight = '60vh';
         img.onerror = () => errorFallback();
         display.appendChild(img);
-    } else if (ct.startsWith('video/')) {
+    } else if (kind === 'video') {
         const video = document.createElement('video');
         video.src = url;
         video.controls = true;
@@ -640,26 +2744,280 @@ function renderPreview(tx) {
         video.style.maxHeight = '60vh';
         video.onerror = () => errorFallback();
         display.appendChild(video);
-    } else if (ct.startsWith('audio/')) {
+    } else if (kind === 'audio') {
         const audio = document.createElement('audio');
         audio.src = url;
         audio.controls = true;
         audio.autoplay = true;
         display.appendChild(audio);
+    } else if (kind === 'text' || kind === 'json') {
+        renderTextPreview(tx, kind, display, token);
+    } else if (kind === 'html') {
+        // No scripts, forms or same-origin access for arbitrary uploaded pages
+        const frame = document.createElement('iframe');
+        frame.className = 'preview-frame';
+        frame.setAttribute('sandbox', '');
+        frame.referrerPolicy = 'no-referrer';
+        frame.src = url;
+        display.appendChild(frame);
+        display.appendChild(createGatewayLink(url));
+    } else if (kind === 'pdf') {
+        renderPdfPreview(url, display, token);
+    } else if (kind === 'manifest') {
+        renderManifestPreview(tx, display, token);
+    } else {
+        const tags = tx.tags || {};
+        const contentType = tags['Content-Type'] || tags['content-type'];
+        appendPreviewNote(display, `No preview for ${contentType || 'this transaction'}`);
+        display.appendChild(createGatewayLink(url));
     }
+}
 
-    previewPanel.style.display = 'block';
+function appendPreviewNote(display, text) {
+    const note = document.createElement('div');
+    note.className = 'preview-note';
+    note.textContent = text;
+    display.appendChild(note);
+    return note;
+}
+
+function createGatewayLink(url) {
+    const link = document.createElement('a');
+    link.className = 'preview-link';
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = 'Open on gateway ↗';
+    return link;
+}
+
+// Reads at most PREVIEW_TEXT_LIMIT bytes so a huge upload cannot stall the page
+async function loadPreviewText(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    while (bytes < PREVIEW_TEXT_LIMIT) {
+        const { done, value } = await reader.read();
+        if (done) return { text: text + decoder.decode(), truncated: false };
+        const chunk = value.subarray(0, PREVIEW_TEXT_LIMIT - bytes);
+        bytes += chunk.length;
+        text += decoder.decode(chunk, { stream: true });
+    }
+    reader.cancel();
+    return { text: text + decoder.decode(), truncated: true };
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Wraps keys, strings, numbers and literals in spans; also copes with cut-off JSON
+function highlightJson(text) {
+    return escapeHtml(text).replace(
+        /("(?:\\.|[^"\\])*"(\s*:)?|\b(?:true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/g,
+        match => {
+            let cls = 'json-number';
+            if (match.startsWith('"')) {
+                cls = /:$/.test(match) ? 'json-key' : 'json-string';
+            } else if (/^(true|false|null)$/.test(match)) {
+                cls = 'json-literal';
+            }
+            return `<span class="${cls}">${match}</span>`;
+        }
+    );
+}
+
+async function renderTextPreview(tx, kind, display, token) {
+    const url = getTxDataUrl(tx.id);
+    const loading = appendPreviewNote(display, 'Loading...');
+    previewAbort = new AbortController();
+    try {
+        const { text, truncated } = await loadPreviewText(url, previewAbort.signal);
+        if (token !== previewToken) return;
+        loading.remove();
+
+        const code = document.createElement('pre');
+        code.className = 'preview-code';
+        if (kind === 'json') {
+            let pretty = text;
+            if (!truncated) {
+                try {
+                    pretty = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (e) {
+                    // Not valid JSON after all; show it as it is
+                }
+            }
+            code.innerHTML = highlightJson(pretty);
+        } else {
+            code.textContent = text;
+        }
+        display.appendChild(code);
+        if (truncated) {
+            const total = parseInt(tx.data_size || '0', 10);
+            appendPreviewNote(display, `Showing the first ${formatBytes(PREVIEW_TEXT_LIMIT)}${total ? ` of ${formatBytes(total)}` : ''}`);
+        }
+        display.appendChild(createGatewayLink(url));
+    } catch (error) {
+        if (token !== previewToken || error.name === 'AbortError') return;
+        display.textContent = `Preview unavailable (${error.message})`;
+    }
+}
+
+// pdf.js is only fetched the first time a PDF is previewed
+async function renderPdfPreview(url, display, token) {
+    const loading = appendPreviewNote(display, 'Loading PDF...');
+    try {
+        const pdfjs = await import('pdfjs-dist');
+        pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+        const pdf = await pdfjs.getDocument({ url }).promise;
+        const page = await pdf.getPage(1);
+        if (token !== previewToken) {
+            pdf.destroy();
+            return;
+        }
+
+        const width = Math.max(display.clientWidth - 20, 200);
+        const viewport = page.getViewport({ scale: (width / page.getViewport({ scale: 1 }).width) * window.devicePixelRatio });
+        const canvas = document.createElement('canvas');
+        canvas.className = 'preview-pdf';
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        const pageCount = pdf.numPages;
+        pdf.destroy();
+        if (token !== previewToken) return;
+
+        loading.remove();
+        display.appendChild(canvas);
+        appendPreviewNote(display, `Page 1 of ${pageCount}`);
+        display.appendChild(createGatewayLink(url));
+    } catch (error) {
+        if (token !== previewToken) return;
+        display.textContent = `PDF preview unavailable (${error.message})`;
+        display.appendChild(createGatewayLink(url));
+    }
+}
+
+async function fetchEntryContentType(entry) {
+    try {
+        const response = await fetch(getTxDataUrl(entry.id), { method: 'HEAD' });
+        entry.tags = { 'Content-Type': response.headers.get('content-type') || '' };
+    } catch (error) {
+        entry.tags = {};
+    }
+}
+
+// Path manifests (arweave/paths) become a file tree; opening a file previews it here with
+// prev/next walking the manifest's files and a button back to the tree
+async function renderManifestPreview(tx, display, token) {
+    const loading = appendPreviewNote(display, 'Loading manifest...');
+    previewAbort = new AbortController();
+    try {
+        // /raw/ returns the manifest itself rather than the index page it resolves to
+        const response = await fetch(`${mediaGatewayUrl}/raw/${tx.id}`, { signal: previewAbort.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = await response.json();
+        if (token !== previewToken) return;
+        if (!manifest || manifest.manifest !== 'arweave/paths' || typeof manifest.paths !== 'object') {
+            throw new Error('not an arweave/paths manifest');
+        }
+
+        const entries = Object.keys(manifest.paths).sort()
+            .filter(path => manifest.paths[path] && manifest.paths[path].id)
+            .map(path => ({ id: manifest.paths[path].id, manifestPath: path, manifestId: tx.id, tags: null }));
+        previewManifest = {
+            tx,
+            entries,
+            returnTo: { txs: currentPreviewableTxs, index: currentTxIndex }
+        };
+
+        loading.remove();
+        const indexPath = manifest.index && manifest.index.path;
+        appendPreviewNote(display, `${entries.length} files${indexPath ? `, index: ${indexPath}` : ''}`);
+        display.appendChild(buildManifestTree(entries, indexPath));
+        display.appendChild(createGatewayLink(getTxDataUrl(tx.id)));
+    } catch (error) {
+        if (token !== previewToken || error.name === 'AbortError') return;
+        display.textContent = `Manifest unavailable (${error.message})`;
+    }
+}
+
+function buildManifestTree(entries, indexPath) {
+    // Nest the flat path list into folders: { folders: { name: node }, files: [entry] }
+    const root = { folders: {}, files: [] };
+    entries.forEach(entry => {
+        const parts = entry.manifestPath.split('/');
+        let node = root;
+        parts.slice(0, -1).forEach(part => {
+            node = node.folders[part] = node.folders[part] || { folders: {}, files: [] };
+        });
+        node.files.push(entry);
+    });
+
+    const renderNode = (node, depth) => {
+        const list = document.createElement('div');
+        list.className = 'manifest-tree';
+        Object.keys(node.folders).sort().forEach(name => {
+            const folder = document.createElement('details');
+            folder.open = depth === 0;
+            const summary = document.createElement('summary');
+            summary.textContent = `${name}/`;
+            folder.appendChild(summary);
+            folder.appendChild(renderNode(node.folders[name], depth + 1));
+            list.appendChild(folder);
+        });
+        node.files.forEach(entry => {
+            const file = document.createElement('div');
+            file.className = 'manifest-file';
+            const name = entry.manifestPath.split('/').pop() || entry.manifestPath;
+            file.textContent = entry.manifestPath === indexPath ? `${name} (index)` : name;
+            file.title = `${entry.manifestPath}\n${entry.id}`;
+            file.addEventListener('click', () => openManifestEntry(entry));
+            list.appendChild(file);
+        });
+        return list;
+    };
+    return renderNode(root, 0);
+}
+
+function openManifestEntry(entry) {
+    if (!previewManifest) return;
+    currentPreviewableTxs = previewManifest.entries;
+    currentTxIndex = currentPreviewableTxs.indexOf(entry);
+    renderPreview(entry);
+}
+
+function createManifestBackButton() {
+    const button = document.createElement('button');
+    button.className = 'viz-btn preview-back';
+    button.textContent = '⌂ Back to manifest';
+    button.addEventListener('click', () => {
+        const { tx, returnTo } = previewManifest;
+        currentPreviewableTxs = returnTo.txs;
+        currentTxIndex = returnTo.index;
+        renderPreview(tx);
+    });
+    return button;
 }
 
 
 function closeContentPreview() {
     const panel = document.getElementById('content-preview-panel');
     if (panel) panel.style.display = 'none';
-    // Stop any playing media
+    previewToken++;
+    if (previewAbort) previewAbort.abort();
+    previewAbort = null;
+    // Stop any playing media and unload framed pages
     const display = document.getElementById('content-display');
     if (display && display.firstChild && typeof display.firstChild.pause === 'function') {
         display.firstChild.pause();
     }
+    if (display) display.innerHTML = '';
+    selectedTxId = null;
+    updateViewUrl();
 }
 
 function preloadMedia(txs) {
@@ -667,18 +3025,18 @@ function preloadMedia(txs) {
         // Don't preload the currently visible one
         if (index === currentTxIndex) return;
 
-        const ct = (tx.tags && (tx.tags['Content-Type'] || tx.tags['content-type'])) || '';
-        const url = `https://arweave.net/${tx.id}`;
+        const kind = getPreviewKind(tx);
+        const url = getTxDataUrl(tx.id);
 
-        if (ct.startsWith('image/')) {
+        if (kind === 'image') {
             const img = new Image();
             img.src = url;
-        } else if (ct.startsWith('video/')) {
+        } else if (kind === 'video') {
             // Videos are trickier to preload fully, but this helps
             const video = document.createElement('video');
             video.preload = 'auto';
             video.src = url;
-        } else if (ct.startsWith('audio/')) {
+        } else if (kind === 'audio') {
             const audio = document.createElement('audio');
             audio.preload = 'auto';
             audio.src = url;
@@ -699,6 +3057,8 @@ function setTopView() {
     cameraMode = 'top';
     camera.position.set(0, 250, 0);
     camera.lookAt(monolith.position);
+    cameraMoved = false;
+    updateViewUrl();
 }
 
 function setIsometricView() {
@@ -707,6 +3067,8 @@ function setIsometricView() {
     const distance = 200;
     camera.position.set(distance, distance, distance);
     camera.lookAt(monolith.position);
+    cameraMoved = false;
+    updateViewUrl();
 }
 
 // ---- Main Animation Loop ----
@@ -715,18 +3077,21 @@ function animate() {
         if (isRotating) {
             monolith.rotation.y += 0.001;
         }
+        batchTime.value = getBatchTime();
+        stepLayoutTransition();
 
         // On-demand texture loading for render mode
         if (activeFilterType === 'render') {
             camera.updateMatrixWorld();
+            monolith.updateMatrixWorld();
             cameraMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
             frustum.setFromProjectionMatrix(cameraMatrix);
 
             monolith.children.forEach(blockGroup => {
-                const cube = blockGroup.children.find(child => child.isMesh);
-                if (!cube) return;
+                if (!blockGroup.userData.instance) return;
 
-                if (frustum.intersectsObject(cube)) {
+                const box = getBlockBox(blockGroup, renderBox).applyMatrix4(monolith.matrixWorld);
+                if (blockGroup.visible && frustum.intersectsBox(box)) {
                     // Block is visible
                     if (!blockGroup.userData.isRendered) {
                         applyRenderMode(blockGroup);
@@ -742,6 +3107,10 @@ function animate() {
         
         if (renderer && scene && camera) {
             renderer.render(scene, camera);
+            if (Date.now() - lastRenderStatsUpdate > 500) {
+                lastRenderStatsUpdate = Date.now();
+                updateRenderStats();
+            }
         }
         requestAnimationFrame(animate);
     } catch (error) {
@@ -777,7 +3146,7 @@ function updateLegend() {
         item.className = 'legend-item';
         item.dataset.type = type;
         item.style.cursor = 'pointer';
-        item.innerHTML = `<span class="legend-color-box" style="border-color: #${style.outlineColor.toString(16).padStart(6, '0')};"></span><span>${style.name}</span>`;
+        item.innerHTML = `<span class="legend-color-box" style="border-color: #${style.outlineColor.toString(16).padStart(6, '0')};"></span><span>${style.name}</span><span class="legend-count" data-type="${type}"></span>`;
         
         item.addEventListener('click', () => {
             toggleLegendType(type);
@@ -787,6 +3156,199 @@ function updateLegend() {
     highlightLegendSelection();
 }
 
+// ---- Tag Queries ----
+// Per content type counts of a block's transactions that pass the active tag query
+function countMatchingTransactions(blockGroup) {
+    const counts = {};
+    (blockGroup.userData.transactions || []).forEach(tx => {
+        if (activeTagQuery && !TagQuery.matchesTagQuery(tx, activeTagQuery)) return;
+        const type = getTransactionContentType(tx);
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    blockGroup.userData.matchCounts = counts;
+    return counts;
+}
+
+// Content types a block shows under the active tag query
+function getFilterTypes(blockGroup) {
+    return activeTagQuery ? Object.keys(blockGroup.userData.matchCounts || {}) : (blockGroup.userData.contentTypes || []);
+}
+
+function passesSceneFilter(blockGroup) {
+    const types = getFilterTypes(blockGroup);
+    if (activeFilterType === 'render') return types.includes('image');
+    if (activeFilterType) return types.includes(activeFilterType);
+    return !activeTagQuery || types.length > 0;
+}
+
+function addToLegendCounts(counts) {
+    Object.entries(counts).forEach(([type, count]) => {
+        legendCounts[type] = (legendCounts[type] || 0) + count;
+    });
+    updateLegendCounts();
+}
+
+function updateLegendCounts() {
+    document.querySelectorAll('.legend-item .legend-count').forEach(span => {
+        const count = legendCounts[span.dataset.type] || 0;
+        span.textContent = count > 0 ? ` (${count})` : '';
+    });
+}
+
+// Re-evaluate every loaded block against a new query and refresh the scene
+function setTagQuery(clauses) {
+    activeTagQuery = clauses && clauses.length > 0 ? clauses : null;
+    Object.keys(legendCounts).forEach(type => { legendCounts[type] = 0; });
+    monolith.children.forEach(group => {
+        if (group.userData.transactions) addToLegendCounts(countMatchingTransactions(group));
+    });
+    updateLegendCounts();
+    applySceneFilter();
+
+    // Keep the query in the URL so the view can be shared or bookmarked
+    updateViewUrl();
+}
+
+function addQueryRow(clause = { field: '', op: '=', value: '' }) {
+    const rows = document.getElementById('query-rows');
+    const row = document.createElement('div');
+    row.className = 'query-row';
+
+    const field = document.createElement('input');
+    field.className = 'search-input query-field';
+    field.placeholder = 'Tag name';
+    field.value = clause.field;
+
+    const op = document.createElement('select');
+    op.className = 'search-input query-op';
+    [['=', 'is'], ['!=', 'is not'], ['~', 'contains']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        op.appendChild(option);
+    });
+    op.value = clause.op;
+
+    const value = document.createElement('input');
+    value.className = 'search-input query-value';
+    value.placeholder = 'Value';
+    value.value = clause.value;
+
+    const remove = document.createElement('button');
+    remove.className = 'search-btn';
+    remove.textContent = 'X';
+    remove.addEventListener('click', () => row.remove());
+
+    row.append(field, op, value, remove);
+    rows.appendChild(row);
+}
+
+// Build the query text from the builder rows and size inputs
+function readQueryBuilder() {
+    const parts = [];
+    document.querySelectorAll('#query-rows .query-row').forEach(row => {
+        const field = row.querySelector('.query-field').value.trim();
+        const value = row.querySelector('.query-value').value.trim();
+        if (field && value) parts.push(`${field} ${row.querySelector('.query-op').value} ${value}`);
+    });
+    const minSize = document.getElementById('query-min-size').value.trim();
+    const maxSize = document.getElementById('query-max-size').value.trim();
+    if (minSize) parts.push(`size >= ${minSize}`);
+    if (maxSize) parts.push(`size <= ${maxSize}`);
+    return TagQuery.parseTagQuery(parts.join('; '));
+}
+
+function fillQueryBuilder(clauses) {
+    document.getElementById('query-rows').innerHTML = '';
+    document.getElementById('query-min-size').value = '';
+    document.getElementById('query-max-size').value = '';
+    const formatSize = bytes => TagQuery.serializeTagQuery([{ field: 'size', op: '=', value: bytes }]).replace('size = ', '');
+    clauses.forEach(clause => {
+        if (clause.field !== 'size') {
+            addQueryRow(clause);
+        } else if (clause.op === '>=' || clause.op === '>') {
+            document.getElementById('query-min-size').value = formatSize(clause.value);
+        } else if (clause.op === '<=' || clause.op === '<') {
+            document.getElementById('query-max-size').value = formatSize(clause.value);
+        }
+    });
+    if (!document.querySelector('#query-rows .query-row')) addQueryRow();
+}
+
+function showQueryError(message) {
+    const errorElement = document.getElementById('query-error');
+    if (errorElement) errorElement.textContent = message || '';
+}
+
+function onFilterLoaded() {
+    const { clauses, errors } = readQueryBuilder();
+    if (errors.length > 0) {
+        showQueryError(errors[0]);
+        return;
+    }
+    showQueryError('');
+    setTagQuery(clauses);
+}
+
+// Ask the server for matching transactions within the range on screen
+function onSearchChain() {
+    const { clauses, errors } = readQueryBuilder();
+    if (errors.length > 0 || clauses.length === 0) {
+        showQueryError(errors[0] || 'Add at least one clause');
+        return;
+    }
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+        showQueryError('Not connected');
+        return;
+    }
+    showQueryError('');
+
+    const request = { type: 'tag_search', query: TagQuery.serializeTagQuery(clauses) };
+    if (currentRange && currentRange.fromHeight !== undefined) {
+        request.fromHeight = currentRange.fromHeight;
+        request.toHeight = currentRange.toHeight;
+    } else if (currentRange) {
+        request.start = currentRange.start.toISOString();
+        request.end = currentRange.end.toISOString();
+    } else {
+        const day = currentlyDisplayedDate;
+        request.start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())).toISOString();
+        request.end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 23, 59, 59, 999)).toISOString();
+    }
+
+    isLiveView = false;
+    updateLiveIndicator(null);
+    beginBlockView(request, currentRange, 'query');
+    setTagQuery(clauses);
+    const dateElement = document.getElementById('date-display');
+    if (dateElement) dateElement.textContent = `Query: ${request.query}`;
+}
+
+function clearTagQuery() {
+    fillQueryBuilder([]);
+    showQueryError('');
+    setTagQuery(null);
+}
+
+function toggleQueryPanel() {
+    const panel = document.getElementById('query-panel');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+}
+
+// A query saved in the URL (?tq=...) is restored on load
+function loadTagQueryFromUrl() {
+    const text = new URL(window.location.href).searchParams.get('tq');
+    if (!text) {
+        fillQueryBuilder([]);
+        return;
+    }
+    const { clauses, errors } = TagQuery.parseTagQuery(text);
+    if (errors.length > 0) console.warn('Ignoring invalid tag query in URL:', errors);
+    fillQueryBuilder(clauses);
+    activeTagQuery = clauses.length > 0 ? clauses : null;
+}
+
 function toggleLegendType(type) {
     if (type === null) { // Handle Reset button
         activeFilterType = null;
@@ -795,81 +3357,44 @@ function toggleLegendType(type) {
     }
     applySceneFilter();
     highlightLegendSelection();
+    updateViewUrl();
 }
 
 function applySceneFilter() {
     monolith.children.forEach(blockGroup => {
-        const cube = blockGroup.children.find(child => child.isMesh);
-        const outline = blockGroup.children.find(child => child.isLineSegments);
-        if (!cube || !outline) return;
-
-        // STAGE 1: CLEANUP
-        // Always dispose of rendered materials if they exist.
-        if (blockGroup.userData.isRendered) {
-            disposeRenderedBlock(blockGroup);
-        }
-        // Ensure material is a single object, not an array, before proceeding.
-        if (Array.isArray(cube.material)) {
-             cube.material = new THREE.MeshPhongMaterial({
-                color: blockGroup.userData.originalColor,
-                transparent: true, opacity: 0.35
-            });
-        }
-        
-        // CRITICAL: When resetting filters, ensure isRendered is completely cleared
-        if (activeFilterType !== 'render' && blockGroup.userData.isRendered) {
-            blockGroup.userData.isRendered = false;
-        }
+        if (!blockGroup.userData.instance) return;
+
+        // Render mode rebuilds image meshes in the animate loop, so drop them on any change
+        disposeRenderedBlock(blockGroup);
 
-        // STAGE 2: APPLY NEW FILTER
+        blockGroup.visible = passesSceneFilter(blockGroup);
         if (activeFilterType === 'render') {
-            const hasImages = blockGroup.userData.contentTypes.includes('image');
-            blockGroup.visible = hasImages;
             // The animate loop will handle the actual rendering.
         } else if (activeFilterType) {
-            const hasType = blockGroup.userData.contentTypes.includes(activeFilterType);
-            blockGroup.visible = hasType;
-            if (hasType) {
+            if (blockGroup.visible) {
                 const style = contentTypeDataStyles[activeFilterType];
-                cube.material.color.set(style.cubeColor);
-                outline.material.color.set(style.outlineColor);
+                setBlockColors(blockGroup, { cube: style.cubeColor, outline: style.outlineColor });
             }
         } else {
-            // No filter active: reset to original state.
-            blockGroup.visible = true;
-            cube.material.color.set(blockGroup.userData.originalColor);
-            outline.material.color.set(blockGroup.userData.originalOutline);
+            // No type filter active: reset to original colours.
+            setBlockColors(blockGroup, { cube: null, outline: blockGroup.userData.originalOutline });
         }
-
-        // STAGE 3: FINAL UI STATE
-        outline.visible = activeFilterType !== 'render';
+        // Writes visibility too; outlines and clusters stay hidden in render mode
+        syncBlockInstance(blockGroup);
     });
 }
 
+// Drop a block's image mesh and show its batch cube again
 function disposeRenderedBlock(blockGroup) {
-    const cube = blockGroup.children.find(child => child.isMesh);
-    if (!cube || !blockGroup.userData.isRendered) return;
-
-    if (Array.isArray(cube.material)) {
-        cube.material.forEach(mat => {
-            if (mat.map) {
-                mat.map.dispose();
-            }
-            mat.dispose();
-        });
-    } else if (cube.material.map) {
-        cube.material.map.dispose();
-        cube.material.dispose();
-    }
-
-    // Restore original material
-    cube.material = new THREE.MeshPhongMaterial({
-        color: blockGroup.userData.originalColor,
-        transparent: true,
-        opacity: 0.35
-    });
-
+    if (!blockGroup.userData.isRendered) return;
     blockGroup.userData.isRendered = false;
+
+    const mesh = blockGroup.userData.renderMesh;
+    if (!mesh) return; // still loading; applyRenderMode drops what it loaded
+    blockGroup.remove(mesh);
+    blockGroup.userData.renderMesh = null;
+    disposeObject(mesh);
+    syncBlockInstance(blockGroup);
 }
 
 const tintedImageShader = {
@@ -897,58 +3422,48 @@ async function applyRenderMode(blockGroup) {
     if (blockGroup.userData.isRendered) return; // Already rendering or rendered
     blockGroup.userData.isRendered = true;
 
-    const cube = blockGroup.children.find(child => child.isMesh);
-    if (!cube) return;
-
     const imageTxs = blockGroup.userData.transactions.filter(tx => 
         ((tx.tags && (tx.tags['Content-Type'] || tx.tags['content-type'])) || '').startsWith('image/')
     );
 
     if (imageTxs.length > 0) {
-        const imageLoader = new THREE.ImageLoader();
-        imageLoader.setCrossOrigin('');
-        const materials = [];
-        const promises = [];
-
-        for (let i = 0; i < 6; i++) {
-            const tx = imageTxs[i % imageTxs.length];
-            const url = `https://arweave.net/${tx.id}`;
-
-            const promise = new Promise(async (resolve) => {
-                try {
-                    const image = await imageLoader.loadAsync(url);
-                    const canvas = document.createElement('canvas');
-                    const textureSize = 256;
-                    canvas.width = textureSize;
-                    canvas.height = textureSize;
-                    const context = canvas.getContext('2d');
-                    context.drawImage(image, 0, 0, textureSize, textureSize);
-                    
-                    const texture = new THREE.CanvasTexture(canvas);
-
-                    materials[i] = new THREE.ShaderMaterial({
-                        uniforms: {
-                            uTexture: { value: texture }
-                        },
-                        vertexShader: tintedImageShader.vertexShader,
-                        fragmentShader: tintedImageShader.fragmentShader,
-                        transparent: true
-                    });
-                } catch (error) {
-                    console.error(`Failed to load or process image: ${url}`, error);
-                    materials[i] = new THREE.MeshBasicMaterial({ color: 0x333333, transparent: true, opacity: 0.35 });
-                }
-                resolve();
-            });
-            promises.push(promise);
-        }
-
-        await Promise.all(promises);
-        cube.material = materials;
+        const materials = await Promise.all([0, 1, 2, 3, 4, 5].map(async (face) => {
+            const tx = imageTxs[face % imageTxs.length];
+            try {
+                const texture = await acquireCachedTexture(tx.id);
+                return new THREE.ShaderMaterial({
+                    uniforms: {
+                        uTexture: { value: texture }
+                    },
+                    vertexShader: tintedImageShader.vertexShader,
+                    fragmentShader: tintedImageShader.fragmentShader,
+                    transparent: true
+                });
+            } catch (error) {
+                console.error(`Failed to load or process image: ${getTxDataUrl(tx.id)}`, error);
+                return new THREE.MeshBasicMaterial({ color: 0x333333, transparent: true, opacity: 0.35 });
+            }
+        }));
+        showRenderedBlock(blockGroup, materials);
 
     } else {
-        cube.material = new THREE.MeshBasicMaterial({ color: 0x555555, transparent: true, opacity: 0.35 });
+        showRenderedBlock(blockGroup, new THREE.MeshBasicMaterial({ color: 0x555555, transparent: true, opacity: 0.35 }));
+    }
+}
+
+// Swap the block's batch cube for a mesh of its own carrying the rendered materials
+function showRenderedBlock(blockGroup, materials) {
+    // Render mode ended, or the block left the view, while its images loaded
+    if (!blockGroup.userData.isRendered || blockGroup.userData.renderMesh || !blockGroup.userData.instance) {
+        [].concat(materials).forEach(disposeMaterial);
+        return;
     }
+    const size = blockGroup.userData.size;
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(size, size, size), materials);
+    mesh.raycast = () => {}; // picked through the block index
+    blockGroup.add(mesh);
+    blockGroup.userData.renderMesh = mesh;
+    syncBlockInstance(blockGroup);
 }
 
 function highlightLegendSelection() {
@@ -1039,10 +3554,25 @@ function init() {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, initializing application...');
     init();
+    loadTagQueryFromUrl();
 
     // Attach ALL DOM element event listeners after the DOM is fully loaded to prevent race conditions
     document.getElementById('close-block-info').addEventListener('click', closeBlockInfo);
     document.getElementById('close-content-preview').addEventListener('click', closeContentPreview);
+    document.getElementById('close-tx-inspector').addEventListener('click', closeTxInspector);
+    window.addEventListener('keydown', (event) => {
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement && document.activeElement.tagName);
+        if (event.key === '`' && !typing) toggleRenderStats();
+    });
+    window.addEventListener('popstate', () => {
+        if (ws && ws.readyState === WebSocket.OPEN) applyUrlState();
+    });
+    document.getElementById('prev-block-btn').addEventListener('click', () => navigateBlock(-1));
+    document.getElementById('next-block-btn').addEventListener('click', () => navigateBlock(1));
+    document.getElementById('inspect-tx-btn').addEventListener('click', () => {
+        const tx = currentPreviewableTxs[currentTxIndex];
+        if (tx) requestTransactionDetails(tx.id);
+    });
 
     document.getElementById('prev-day').addEventListener('click', () => {
         currentlyDisplayedDate.setDate(currentlyDisplayedDate.getDate() - 1);
@@ -1062,10 +3592,30 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('top-view').addEventListener('click', setTopView);
     document.getElementById('reset-view').addEventListener('click', () => {
         fitCameraToMonolith();
+        cameraMoved = false;
+        updateViewUrl();
     });
     document.getElementById('iso-view').addEventListener('click', () => {
         setIsometricView();
     });
+    document.getElementById('search-form').addEventListener('submit', submitSearch);
+    document.getElementById('query-view').addEventListener('click', toggleQueryPanel);
+    document.getElementById('layout-view').addEventListener('click', cycleBlockLayout);
+    document.getElementById('time-spacing').addEventListener('click', () => setTimeSpacing(!timeSpacing));
+    document.getElementById('add-query-row').addEventListener('click', () => addQueryRow());
+    document.getElementById('filter-loaded').addEventListener('click', onFilterLoaded);
+    document.getElementById('search-chain').addEventListener('click', onSearchChain);
+    document.getElementById('clear-query').addEventListener('click', clearTagQuery);
+    document.getElementById('date-display').addEventListener('click', toggleRangePicker);
+    document.getElementById('load-date-range').addEventListener('click', onLoadDateRange);
+    document.getElementById('load-height-range').addEventListener('click', onLoadHeightRange);
+    document.getElementById('towers-view').addEventListener('click', () => {
+        if (sceneMode === 'towers') {
+            requestDayData(currentlyDisplayedDate);
+        } else {
+            requestTowers();
+        }
+    });
 
     document.getElementById('prev-tx-btn').addEventListener('click', () => {
         if (currentPreviewableTxs.length > 0) {
@@ -0,0 +1,129 @@
+// Tag queries, shared by server.js (require) and the browser (window.ArweaveTagQuery).
+//
+// A query is a list of clauses separated by ';' or new lines, all of which must match:
+//   App-Name = ArDrive           exact tag value
+//   Content-Type ~ json          tag value contains the text (case-insensitive)
+//   App-Version != 1.0           tag missing or different
+//   size > 1MB                   data size; also <, >=, <=, = with B, KB, MB or GB
+// Tag names match case-insensitively. Gateways match tag names exactly, so only equality
+// clauses on well-known tags, spelled the way they appear on chain, are pushed into
+// GraphQL tag filters; the rest is evaluated on the returned transactions.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ArweaveTagQuery = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const CLAUSE_PATTERN = /^\s*([^=!~<>]+?)\s*(!=|>=|<=|=|~|<|>)\s*(.*?)\s*$/;
+    const SIZE_OPS = ['=', '!=', '<', '>', '<=', '>='];
+    const TAG_OPS = ['=', '!=', '~'];
+    const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    const CANONICAL_TAG_NAMES = new Map([
+        'Content-Type', 'App-Name', 'App-Version', 'Contract-Src', 'Contract', 'Input',
+        'Type', 'Title', 'Description', 'Data-Protocol', 'Protocol-Name', 'Bundle-Format',
+        'Bundle-Version', 'Unix-Time', 'Variant'
+    ].map(name => [name.toLowerCase(), name]));
+
+    function parseSize(text) {
+        const match = /^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i.exec(text);
+        if (!match) return null;
+        return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+    }
+
+    // Returns { clauses, errors }; clauses are { field, op, value } with field 'size' for
+    // the data size clause (value in bytes)
+    function parseTagQuery(text) {
+        const clauses = [];
+        const errors = [];
+        String(text || '').split(/[;\n]/).forEach(part => {
+            if (!part.trim()) return;
+            const match = CLAUSE_PATTERN.exec(part);
+            if (!match || !match[3]) {
+                errors.push(`Cannot read '${part.trim()}'`);
+                return;
+            }
+            const [, field, op, value] = match;
+            if (field.toLowerCase() === 'size') {
+                const bytes = parseSize(value);
+                if (!SIZE_OPS.includes(op) || bytes === null) {
+                    errors.push(`Invalid size clause '${part.trim()}'`);
+                    return;
+                }
+                clauses.push({ field: 'size', op, value: bytes });
+            } else if (!TAG_OPS.includes(op)) {
+                errors.push(`Tags only support =, != and ~ ('${part.trim()}')`);
+            } else {
+                clauses.push({ field, op, value });
+            }
+        });
+        return { clauses, errors };
+    }
+
+    function formatSize(bytes) {
+        for (const unit of ['GB', 'MB', 'KB']) {
+            const factor = SIZE_UNITS[unit.toLowerCase()];
+            if (bytes >= factor && bytes % factor === 0) return `${bytes / factor}${unit}`;
+        }
+        return String(bytes);
+    }
+
+    function serializeTagQuery(clauses) {
+        return clauses
+            .map(clause => `${clause.field} ${clause.op} ${clause.field === 'size' ? formatSize(clause.value) : clause.value}`)
+            .join('; ');
+    }
+
+    function getTagValue(tags, name) {
+        if (!tags) return undefined;
+        const wanted = name.toLowerCase();
+        if (Array.isArray(tags)) {
+            const tag = tags.find(t => t.name.toLowerCase() === wanted);
+            return tag ? tag.value : undefined;
+        }
+        const key = Object.keys(tags).find(k => k.toLowerCase() === wanted);
+        return key === undefined ? undefined : tags[key];
+    }
+
+    function compare(a, op, b) {
+        switch (op) {
+            case '=': return a === b;
+            case '!=': return a !== b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+            default: return false;
+        }
+    }
+
+    // tx: { tags (object or [{name, value}]), data_size }
+    function matchesTagQuery(tx, clauses) {
+        return clauses.every(clause => {
+            if (clause.field === 'size') {
+                return compare(parseInt(tx.data_size || '0', 10) || 0, clause.op, clause.value);
+            }
+            const value = getTagValue(tx.tags, clause.field);
+            if (clause.op === '!=') return value !== clause.value;
+            if (value === undefined) return false;
+            if (clause.op === '~') return String(value).toLowerCase().includes(clause.value.toLowerCase());
+            return value === clause.value;
+        });
+    }
+
+    // GraphQL TagFilter list for the clauses a gateway can evaluate itself. A gateway
+    // would miss 'content-type' tags when asked for 'Content-Type' (and the other way
+    // round), so tags without a known spelling are left to matchesTagQuery.
+    function toGraphQLTagFilters(clauses) {
+        return clauses
+            .filter(clause => clause.op === '=' && CANONICAL_TAG_NAMES.has(clause.field.toLowerCase()))
+            .map(clause => ({ name: CANONICAL_TAG_NAMES.get(clause.field.toLowerCase()), values: [clause.value] }));
+    }
+
+    return {
+        parseTagQuery,
+        serializeTagQuery,
+        matchesTagQuery,
+        toGraphQLTagFilters
+    };
+}));
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { toBase64Url, readLittleEndian, decodeAvroTags, parseDataItemHeader } = require('../ans104');
+
+// fixtures/bundle.bin: a four-item ANS-104 bundle whose index ids are 32 bytes of 1, 2, 3, 4.
+//   1. ed25519, Content-Type image/png and App-Name Test, data 'PNGDATA'
+//   2. ed25519 with a target (32 x 0x03) and anchor (32 x 0x04), text/plain, 'hello world'
+//   3. arweave (owner 512 x 0x05), Bundle-Format/Bundle-Version/Title tags written as two
+//      Avro blocks, the first with a negative count and a byte size, data 'x'
+//   4. ethereum, no tags, data '{}'
+const bundle = fs.readFileSync(path.join(__dirname, 'fixtures', 'bundle.bin'));
+
+function readBundle(buffer) {
+    const total = readLittleEndian(buffer, 0, 32);
+    let start = 32 + total * 64;
+    const entries = [];
+    for (let i = 0; i < total; i++) {
+        const size = readLittleEndian(buffer, 32 + i * 64, 32);
+        const id = toBase64Url(buffer.subarray(32 + i * 64 + 32, 32 + i * 64 + 64));
+        entries.push({ id, size, data: buffer.subarray(start, start + size) });
+        start += size;
+    }
+    return entries;
+}
+
+test('reads the bundle index', () => {
+    const entries = readBundle(bundle);
+    assert.deepStrictEqual(entries.map(e => e.id), [1, 2, 3, 4].map(n => toBase64Url(Buffer.alloc(32, n))));
+    assert.strictEqual(entries.reduce((sum, e) => sum + e.size, 32 + 4 * 64), bundle.length);
+});
+
+test('parses data item headers', () => {
+    const items = readBundle(bundle).map(entry => {
+        const { item, needed } = parseDataItemHeader(entry.data);
+        assert.strictEqual(needed, 0);
+        return { ...item, body: entry.data.subarray(item.headerSize).toString() };
+    });
+
+    assert.strictEqual(items[0].signatureType, 'ed25519');
+    assert.deepStrictEqual(items[0].tags, [{ name: 'Content-Type', value: 'image/png' }, { name: 'App-Name', value: 'Test' }]);
+    assert.strictEqual(items[0].target, null);
+    assert.strictEqual(items[0].anchor, null);
+    assert.strictEqual(items[0].owner, null);
+    assert.strictEqual(items[0].body, 'PNGDATA');
+
+    assert.strictEqual(items[1].target, 'AwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwMDAwM');
+    assert.strictEqual(items[1].anchor, 'BAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQ');
+    assert.strictEqual(items[1].body, 'hello world');
+
+    assert.strictEqual(items[2].signatureType, 'arweave');
+    assert.strictEqual(items[2].owner, 'pfjrWnL7_h336J42rT2pS3zexrrhJsf3RvOxfIOZiSE'); // sha256 of the owner key
+    assert.deepStrictEqual(items[2].tags.map(t => t.value), ['binary', '2.0.0', 'ünïcödé']);
+    assert.strictEqual(items[2].body, 'x');
+
+    assert.strictEqual(items[3].signatureType, 'ethereum');
+    assert.deepStrictEqual(items[3].tags, []);
+    assert.strictEqual(items[3].body, '{}');
+});
+
+test('asks for more bytes when a header is cut short', () => {
+    const [, second] = readBundle(bundle);
+    assert.deepStrictEqual(parseDataItemHeader(second.data.subarray(0, 1)), { needed: 2, item: null });
+    // Each retry with the bytes asked for gets further: past the target, then the tags
+    assert.deepStrictEqual(parseDataItemHeader(second.data.subarray(0, 120)), { needed: 180, item: null });
+    assert.deepStrictEqual(parseDataItemHeader(second.data.subarray(0, 180)), { needed: 206, item: null });
+    assert.strictEqual(parseDataItemHeader(second.data.subarray(0, 206)).item.headerSize, 206);
+});
+
+test('rejects unknown signature types', () => {
+    assert.throws(() => parseDataItemHeader(Buffer.from([99, 0, 0, 0])), /signature type 99/);
+});
+
+test('decodes Avro tag arrays', () => {
+    assert.deepStrictEqual(decodeAvroTags(Buffer.from([0])), []);
+    // one block of one tag: count 1 (zig-zag 2), "a" -> "b"
+    assert.deepStrictEqual(decodeAvroTags(Buffer.from([2, 2, 0x61, 2, 0x62, 0])), [{ name: 'a', value: 'b' }]);
+    // a 70-byte value needs a two-byte length (zig-zag 140 = 0x8c 0x01)
+    const long = 'v'.repeat(70);
+    const encoded = Buffer.concat([Buffer.from([2, 2, 0x6b, 0x8c, 0x01]), Buffer.from(long), Buffer.from([0])]);
+    assert.deepStrictEqual(decodeAvroTags(encoded), [{ name: 'k', value: long }]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const categories = require('../categories');
+
+test('categorizes by Content-Type', () => {
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'image/png' }), 'image');
+    assert.strictEqual(categories.categorize({ 'content-type': 'Video/MP4' }), 'video');
+    assert.strictEqual(categories.categorize([{ name: 'Content-Type', value: 'application/json; charset=utf-8' }]), 'json');
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'application/x.arweave-manifest+json' }), 'manifest');
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'text/markdown' }), 'text');
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'application/octet-stream' }), 'app');
+    assert.strictEqual(categories.categorize({}), 'other');
+    assert.strictEqual(categories.categorize(null), 'other');
+});
+
+test('media types win over contract tags', () => {
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'image/png', 'App-Name': 'SmartWeaveContract' }), 'image');
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'audio/mpeg', 'Contract-Src': 'abc' }), 'audio');
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'application/json', 'App-Name': 'SmartWeaveContract' }), 'contract');
+    assert.strictEqual(categories.categorize({ 'App-Name': 'SmartWeaveAction' }), 'contract');
+});
+
+test('contracts preview as their Content-Type says', () => {
+    assert.strictEqual(categories.getPreview({ 'Content-Type': 'application/json', 'Contract-Src': 'abc' }), 'json');
+    assert.strictEqual(categories.getPreview({ 'Content-Type': 'application/javascript', 'App-Name': 'SmartWeaveContractSource' }), 'text');
+    assert.strictEqual(categories.getPreview({ 'App-Name': 'SmartWeaveAction' }), 'text');
+    assert.strictEqual(categories.getPreview({ 'Content-Type': 'application/octet-stream', 'Contract-Src': 'abc' }), null);
+    assert.strictEqual(categories.getPreview({ 'Content-Type': 'image/gif' }), 'image');
+    assert.strictEqual(categories.getPreview({}), null);
+});
+
+// Runs last: node --test gives each file its own process, but this one changes the registry
+test('registered categories take their place in the order', () => {
+    categories.registerCategory({
+        id: 'test-atomic', name: 'Atomic Asset', cubeColor: 0, outlineColor: 0,
+        rules: [{ tag: 'Type', values: ['atomic-asset'] }]
+    }, { before: 'image' });
+    assert.strictEqual(categories.categorize({ 'Content-Type': 'image/png', Type: 'atomic-asset' }), 'test-atomic');
+    assert.strictEqual(categories.getCategory('test-atomic').preview, null);
+    const ids = categories.listCategories().map(c => c.id);
+    assert.strictEqual(ids.indexOf('test-atomic'), ids.indexOf('image') - 1);
+    assert.strictEqual(ids[ids.length - 1], 'other');
+    assert.strictEqual(categories.getCategory('no-such-category').id, 'other');
+});
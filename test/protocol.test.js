@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protocol = require('../protocol');
+
+const TX_ID = 'a'.repeat(43);
+
+test('accepts well-formed client messages', () => {
+    const messages = [
+        { type: 'hello', version: 1 },
+        { type: 'get_day', date: '2025-09-01', id: 'r1' },
+        { type: 'get_day', start: '2025-09-01T00:00:00Z', end: '2025-09-02T00:00:00Z', live: true, id: 7 },
+        { type: 'get_heights', fromHeight: 1500000, toHeight: 1500100 },
+        { type: 'get_day_visual', date: '2025-09-01' },
+        { type: 'get_towers_quick', perTypeLimit: 200, blockScanLimit: '3000' },
+        { type: 'get_towers_recent_30d', days: 7 },
+        { type: 'get_bundle', bundleId: TX_ID, offset: 100 },
+        { type: 'retry_block', height: 0 }
+    ];
+    for (const message of messages) {
+        assert.deepStrictEqual(protocol.validateMessage('client', message), [], message.type);
+    }
+});
+
+test('reports what is wrong with malformed client messages', () => {
+    assert.deepStrictEqual(protocol.validateMessage('client', null), ['message must be a JSON object']);
+    assert.deepStrictEqual(protocol.validateMessage('client', [1]), ['message must be a JSON object']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { date: '2025-09-01' }), ['type must be a string']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'nope' }), ["unknown message type 'nope'"]);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'hello' }), ['version is required']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'hello', version: 1.5 }), ['version must be integer']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'hello', version: 0 }), ['version must be >= 1']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'get_day' }), ['one of date, start is required']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'get_day', date: 'someday' }), ['date must be a date']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'get_day', date: '2025-09-01', id: {} }), ['id must be string or number']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'get_bundle', bundleId: 'short' }), ['bundleId has an invalid format']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'get_bundle', bundleId: TX_ID, offset: -1 }), ['offset must be >= 0']);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'retry_block', height: '5' }), ['height must be integer']);
+});
+
+test('validates server messages against their own schemas', () => {
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'welcome', version: 1, supportedVersions: [1] }), []);
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'newBlock', data: { height: 1 }, requestId: 'r1' }), []);
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'dayStreamComplete' }), []);
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'error', message: 'bad', code: protocol.ERROR_CODES.INVALID_MESSAGE, details: ['x'] }), []);
+
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'newBlock' }), ['data is required']);
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'liveStatus', headHeight: 10, latestHeight: 9 }), ['behind is required']);
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'error', message: 42 }), ['message must be string']);
+    // Client requests are not valid server messages, and the other way round
+    assert.deepStrictEqual(protocol.validateMessage('server', { type: 'hello', version: 1 }), ["unknown message type 'hello'"]);
+    assert.deepStrictEqual(protocol.validateMessage('client', { type: 'welcome', version: 1, supportedVersions: [1] }), ["unknown message type 'welcome'"]);
+});
+
+test('every schema field has a known type', () => {
+    const types = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+    for (const schemas of [protocol.clientMessages, protocol.serverMessages]) {
+        for (const [type, schema] of Object.entries(schemas)) {
+            for (const [name, spec] of Object.entries(schema.fields)) {
+                assert.ok([].concat(spec.type).every(t => types.includes(t)), `${type}.${name}`);
+            }
+            for (const name of schema.oneOf || []) assert.ok(name in schema.fields, `${type} oneOf ${name}`);
+        }
+    }
+});
+
+test('advertises the current version as supported', () => {
+    assert.ok(protocol.SUPPORTED_VERSIONS.includes(protocol.PROTOCOL_VERSION));
+});
+
+test('keeps the day and height range limits in step', () => {
+    // A day is about 720 blocks, so the two limits should cover roughly the same span
+    assert.ok(Number.isInteger(protocol.MAX_DAY_RANGE) && Number.isInteger(protocol.MAX_HEIGHT_RANGE));
+    assert.ok(Math.abs(protocol.MAX_DAY_RANGE * 720 - protocol.MAX_HEIGHT_RANGE) < protocol.MAX_HEIGHT_RANGE / 4);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTagQuery, serializeTagQuery, matchesTagQuery, toGraphQLTagFilters } = require('../tag-query');
+
+test('parses tag and size clauses', () => {
+    const { clauses, errors } = parseTagQuery('App-Name = ArDrive; Content-Type ~ json\nsize > 1.5MB; App-Version != 1.0');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(clauses, [
+        { field: 'App-Name', op: '=', value: 'ArDrive' },
+        { field: 'Content-Type', op: '~', value: 'json' },
+        { field: 'size', op: '>', value: 1572864 },
+        { field: 'App-Version', op: '!=', value: '1.0' }
+    ]);
+});
+
+test('reports clauses it cannot read', () => {
+    const { clauses, errors } = parseTagQuery('App-Name; size > lots; Title < b; Type = ');
+    assert.deepStrictEqual(clauses, []);
+    assert.strictEqual(errors.length, 4);
+});
+
+test('serializes back to a query that parses the same', () => {
+    const { clauses } = parseTagQuery('app-name=ArDrive;size>=2048;size < 3000');
+    const text = serializeTagQuery(clauses);
+    assert.strictEqual(text, 'app-name = ArDrive; size >= 2KB; size < 3000');
+    assert.deepStrictEqual(parseTagQuery(text).clauses, clauses);
+});
+
+test('matches tag names case-insensitively and values exactly', () => {
+    const tx = { tags: [{ name: 'content-type', value: 'application/json' }, { name: 'App-Name', value: 'ArDrive' }], data_size: '2048' };
+    const matches = query => matchesTagQuery(tx, parseTagQuery(query).clauses);
+    assert.ok(matches('Content-Type = application/json; APP-NAME = ArDrive'));
+    assert.ok(!matches('App-Name = ardrive'));
+    assert.ok(matches('Content-Type ~ JSON'));
+    assert.ok(matches('Title != x; App-Name != Other'));
+    assert.ok(matches('size <= 2KB'));
+    assert.ok(!matches('size > 2KB'));
+    assert.ok(matchesTagQuery({ tags: { 'App-Name': 'ArDrive' } }, parseTagQuery('app-name = ArDrive').clauses));
+});
+
+test('pushes only equality clauses on well-known tags, in their on-chain spelling', () => {
+    const { clauses } = parseTagQuery('content-type = image/png; App-Name = ArDrive; Custom-Tag = x; Title ~ cat; Type != file; size > 1KB');
+    assert.deepStrictEqual(toGraphQLTagFilters(clauses), [
+        { name: 'Content-Type', values: ['image/png'] },
+        { name: 'App-Name', values: ['ArDrive'] }
+    ]);
+});